@@ -0,0 +1,222 @@
+/*******************************************************************
+ * alphabets.js
+ * The letters of the languages the game can be played in, and how the
+ * characters of an answer are turned into letter tiles.
+ *
+ * - Extra (wrong) letters placed in the room are drawn from the alphabet
+ *   of the language being spelled, mostly letters a learner could
+ *   plausibly confuse with the ones in the answer (e.g. 'e' for 'a',
+ *   'ä' for 'a' in Swedish).
+ * - Spelling options decide what has to be collected:
+ *      autoFillSpaces:      spaces are filled in, no tiles for them
+ *      autoFillPunctuation: punctuation (' ? , . - etc.) is filled in
+ *      ignoreCase:          tiles are lowercase and match either case
+ *   Each can be set on its own; SPELLING_PRESETS are shortcuts.
+ *
+ * Languages are named by their ISO 639-1 code.
+ *******************************************************************/
+
+export const ALPHABETS = {
+  en: 'abcdefghijklmnopqrstuvwxyz',
+  sv: 'abcdefghijklmnopqrstuvwxyzåäö',
+  no: 'abcdefghijklmnopqrstuvwxyzæøå',
+  da: 'abcdefghijklmnopqrstuvwxyzæøå',
+  fi: 'abcdefghijklmnopqrstuvwxyzåäö',
+  de: 'abcdefghijklmnopqrstuvwxyzäöüß',
+  nl: 'abcdefghijklmnopqrstuvwxyz',
+  fr: 'abcdefghijklmnopqrstuvwxyzàâçéèêëîïôùûüÿœ',
+  es: 'abcdefghijklmnopqrstuvwxyzáéíñóúü',
+  it: 'abcdefghijklmnopqrstuvwxyzàèéìòù',
+  pt: 'abcdefghijklmnopqrstuvwxyzáâãàçéêíóôõú',
+};
+
+const DEFAULT_ALPHABET = ALPHABETS.en;
+
+/**
+ * Letters that are easy to mix up, because they sound or look alike.
+ * Shared by all languages; letters missing from the alphabet of the
+ * language are never used.
+ */
+const CONFUSABLES = {
+  a: 'eoäåàáâã', b: 'dpv', c: 'ksz', d: 'bt', e: 'aiéèêë', f: 'vph',
+  g: 'jkq', h: 'f', i: 'eyjíìî', j: 'gyi', k: 'cgq', l: 'ri',
+  m: 'n', n: 'mñ', o: 'uaöøóòô', p: 'bq', q: 'kgp', r: 'l',
+  s: 'czß', t: 'd', u: 'oüyúù', v: 'wfb', w: 'v', x: 'ks',
+  y: 'ijü', z: 'sc',
+  å: 'aoä', ä: 'aeå', ö: 'oø', ø: 'oö', æ: 'ae', ü: 'uy', ß: 's',
+  é: 'eè', è: 'eé', ñ: 'n', ç: 'c',
+};
+
+// Share of distractors taken from the confusable letters
+const CONFUSABLE_SHARE = 0.7;
+
+export const SPELLING_FLAGS = ['autoFillSpaces', 'autoFillPunctuation', 'ignoreCase'];
+
+export const SPELLING_PRESETS = {
+  // Only letters are collected, in either case
+  relaxed: { autoFillSpaces: true, autoFillPunctuation: true, ignoreCase: true },
+  // Every character is collected exactly as written
+  strict: { autoFillSpaces: false, autoFillPunctuation: false, ignoreCase: false },
+};
+
+/**
+ * The spelling options from the name of a preset or an object with the
+ * flags (a flag that is missing or not true/false is taken from 'relaxed')
+ */
+export function spellingOptions(spelling) {
+  if (typeof spelling === 'string') {
+    return { ...(SPELLING_PRESETS[spelling] || SPELLING_PRESETS.relaxed) };
+  }
+  const options = { ...SPELLING_PRESETS.relaxed };
+  if (spelling && typeof spelling === 'object') {
+    SPELLING_FLAGS.forEach(flag => {
+      if (typeof spelling[flag] === 'boolean') {
+        options[flag] = spelling[flag];
+      }
+    });
+  }
+  return options;
+}
+
+/**
+ * The name of the preset the options are the same as, or null
+ */
+export function spellingPresetOf(options) {
+  return Object.keys(SPELLING_PRESETS)
+    .find(name => SPELLING_FLAGS.every(flag => SPELLING_PRESETS[name][flag] === options[flag])) || null;
+}
+
+/**
+ * The lowercase letters of a language as an array.
+ * For a language without a definition, the letters used in
+ * sampleWords are used (falling back to a–z).
+ */
+export function getAlphabet(lang, sampleWords = []) {
+  if (lang && ALPHABETS[lang]) {
+    return ALPHABETS[lang].split('');
+  }
+  const letters = new Set();
+  sampleWords.forEach(word => {
+    for (const ch of word.toLowerCase()) {
+      if (/\p{L}/u.test(ch)) letters.add(ch);
+    }
+  });
+  return letters.size > 0 ? Array.from(letters).sort() : DEFAULT_ALPHABET.split('');
+}
+
+/**
+ * True if the character is filled in for the player instead of collected
+ */
+export function isAutoFilled(ch, options) {
+  if (/\s/.test(ch)) {
+    return options.autoFillSpaces;
+  }
+  if (/[\p{P}\p{S}]/u.test(ch)) {
+    return options.autoFillPunctuation;
+  }
+  return false;
+}
+
+/**
+ * The letter on the tile for a character of the answer
+ */
+export function tileLetter(ch, options) {
+  return options.ignoreCase ? ch.toLocaleLowerCase() : ch;
+}
+
+/**
+ * What is drawn on a tile; spaces get a visible symbol
+ */
+export function tileLabel(letter) {
+  return letter === ' ' ? '␣' : letter;
+}
+
+/**
+ * True if a collected tile letter is the needed character
+ */
+export function lettersMatch(letter, neededChar, options) {
+  return tileLetter(neededChar, options) === letter;
+}
+
+/**
+ * Extends what has been spelled with the auto-filled characters that
+ * follow it in the answer (e.g. the space after "I" in "I have").
+ */
+export function autoFill(answer, spelled, options) {
+  let result = spelled;
+  while (result.length < answer.length && isAutoFilled(answer[result.length], options)) {
+    result += answer[result.length];
+  }
+  return result;
+}
+
+/**
+ * The tile letters needed to spell the answer, in order
+ */
+export function tilesForAnswer(answer, options) {
+  return answer.split('')
+    .filter(ch => !isAutoFilled(ch, options))
+    .map(ch => tileLetter(ch, options));
+}
+
+/**
+ * Picks count wrong letters to scatter in the room.
+ * Most are letters that could be confused with letters of the answer,
+ * the rest are random letters of the alphabet.
+ * random needs pick(array) and frac() (like Phaser's RandomDataGenerator).
+ */
+export function pickDistractors(answer, alphabet, count, random, options) {
+  const inAlphabet = new Set(alphabet);
+  const sources = tilesForAnswer(answer, options).filter(letter => /\p{L}/u.test(letter));
+
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    let letter = null;
+    if (sources.length > 0 && random.frac() < CONFUSABLE_SHARE) {
+      const source = random.pick(sources);
+      const lower = source.toLocaleLowerCase();
+      const candidates = (CONFUSABLES[lower] || '').split('').filter(c => inAlphabet.has(c));
+      if (candidates.length > 0) {
+        letter = random.pick(candidates);
+        // A capital in the answer gets capital look-alikes (when case matters)
+        if (source !== lower) {
+          letter = letter.toLocaleUpperCase();
+        }
+      }
+    }
+    if (letter === null) {
+      letter = random.pick(alphabet);
+    }
+    result.push(letter);
+  }
+  return result;
+}
+
+/**
+ * The answers that still fit what has been spelled so far
+ * (compared the way tiles are matched, so case may not matter)
+ */
+export function matchingAnswers(answers, spelled, options) {
+  return answers.filter(answer =>
+    answer.length >= spelled.length &&
+    spelled.split('').every((ch, i) => tileLetter(answer[i], options) === tileLetter(ch, options))
+  );
+}
+
+/**
+ * The tiles needed so that any one of the answers can be spelled:
+ * every letter as many times as the answer needing it most often has it.
+ */
+export function tilesForAnswers(answers, options) {
+  const counts = new Map();
+  answers.forEach(answer => {
+    const own = new Map();
+    tilesForAnswer(answer, options).forEach(letter => own.set(letter, (own.get(letter) || 0) + 1));
+    own.forEach((count, letter) => counts.set(letter, Math.max(count, counts.get(letter) || 0)));
+  });
+  const tiles = [];
+  counts.forEach((count, letter) => {
+    for (let i = 0; i < count; i++) tiles.push(letter);
+  });
+  return tiles;
+}
@@ -0,0 +1,35 @@
+/*******************************************************************
+ * announce.js
+ * Tells screen readers what happens in the game. The canvas can't be
+ * read, so the prompt, the letters spelled so far and the end of the
+ * game are also written into the ARIA live region of index.html
+ * (#announcer), which screen readers read out when it changes.
+ *******************************************************************/
+
+const REGION_ID = 'announcer';
+const SET_DELAY_MS = 50;
+
+let pending = null;
+
+/**
+ * Has text read out; a newer text replaces one not read yet
+ */
+export function announce(text) {
+  const region = typeof document !== 'undefined' ? document.getElementById(REGION_ID) : null;
+  if (!region) {
+    return;
+  }
+  // Emptied first, so the same text twice is read twice
+  region.textContent = '';
+  clearTimeout(pending);
+  pending = setTimeout(() => {
+    region.textContent = text;
+  }, SET_DELAY_MS);
+}
+
+/**
+ * Letters one by one ("c a t"), so they are spelled rather than read as a word
+ */
+export function spellOut(letters) {
+  return [...letters].join(' ');
+}
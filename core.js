@@ -0,0 +1,1009 @@
+/*******************************************************************
+ * core.js
+ * The rules of the game, without Phaser.
+ *
+ * GameState holds everything about a running game: the snake, the word
+ * being spelled, the letters in the room, and whether the game is over.
+ * It moves forward with step(dt), driven by a seeded random number
+ * generator (see rng.js), so the same seed and inputs always play out
+ * the same way. Words are picked with a random stream of their own
+ * (from the same seed), so a recorded word sequence can take its place
+ * when a game is replayed (see replay.js).
+ * GameScene (game.js) only draws the state and reacts to the events it
+ * reports:
+ *
+ *    { type: 'newWord', word, prompt, promptLang, answers }
+ *    { type: 'correct', letter }                  right letter taken
+ *    { type: 'wrong', letter }                    wrong letter taken
+ *    { type: 'wordCompleted', word, answer, answerLang, answers, wrongLetters, hintsUsed, timeToSpell }
+ *    { type: 'hint', kind }                       see useHint()
+ *    { type: 'wordRestarted' }                    see restartWord()
+ *    { type: 'levelUp', level, settings }        waits for startNextLevel()
+ *    { type: 'selfHit', index }                   tail cut off at index
+ *    { type: 'decay' }                            survival mode: a segment lost
+ *    { type: 'gameOver', reason }                 'wall', 'empty' or 'time'
+ *
+ * Positions are in pixels. Snake segments are { x, y } centers,
+ * letters are { id, letter, x, y } with (x, y) their top-left corner.
+ *******************************************************************/
+
+import { formatAnswers } from './wordlists.js';
+import { Random } from './rng.js';
+import {
+  getAlphabet,
+  spellingOptions,
+  autoFill,
+  lettersMatch,
+  matchingAnswers,
+  tilesForAnswers,
+  tileLetter,
+  pickDistractors,
+} from './alphabets.js';
+
+/**
+ * Constants for segment size, speed, etc.
+ */
+export const SEGMENT_SIZE = 20;     // each snake segment is 20x20 px
+export const SNAKE_SPEED = 20;      // speed in pixels/second
+export const STEP_MS = 1000 / 60;   // length of one fixed time step
+// Classic grid movement, see GridSnake:
+export const GRID_TICK_MS = 180;    // time per one-cell step
+export const GRID_MIN_TICK_MS = 90; // fastest step, for long snakes
+export const TURN_QUEUE = 3;        // turns that can wait to be made, see Snake.setDirection()
+export const LEADERBOARD_SIZE = 5;  // scores kept on the leaderboard
+
+/**
+ * Levels. Spelling LEVEL_UP_WORDS words on a level with at least
+ * LEVEL_UP_ACCURACY of the letters taken right moves the game to the next
+ * level, which allows harder words (difficulty <= level) and has its own:
+ *    speed:        smooth snake speed in pixels/second (before screen scaling)
+ *    tick:         time per grid step of the classic snake, in ms
+ *    extraLetters: wrong letters placed with each word
+ *    room:         share of the play area the room covers
+ * Levels past the end of the table keep the settings of the last one.
+ */
+export const LEVEL_UP_WORDS = 5;
+export const LEVEL_UP_ACCURACY = 0.8;
+export const LEVELS = [
+  { speed: 20, tick: 180, extraLetters: 3, room: 1 },
+  { speed: 22, tick: 170, extraLetters: 4, room: 1 },
+  { speed: 24, tick: 160, extraLetters: 5, room: 0.95 },
+  { speed: 26, tick: 150, extraLetters: 6, room: 0.9 },
+  { speed: 28, tick: 140, extraLetters: 8, room: 0.85 },
+  { speed: 30, tick: 130, extraLetters: 10, room: 0.8 },
+  { speed: 33, tick: 120, extraLetters: 12, room: 0.75 },
+  { speed: 36, tick: 110, extraLetters: 15, room: 0.7 },
+];
+const MIN_ROOM_CELLS = 12;          // smallest room side, in segments
+
+/**
+ * Hints, given in this order for a word (then again from the start):
+ *    highlight:         mark the tiles of the next letter
+ *    reveal:            show the next few letters of the answer
+ *    removeDistractors: take away half of the wrong letters
+ * A hint that would not help right now is skipped.
+ */
+export const HINT_KINDS = ['highlight', 'reveal', 'removeDistractors'];
+export const HINT_COST = 1;         // segments a hint costs
+const REVEAL_LETTERS = 2;           // letters shown by a 'reveal' hint
+
+/**
+ * Translation directions:
+ *    forward: show the primary word, spell the new-language word
+ *    reverse: show the new-language word, spell the primary word
+ *    mixed:   a random one of the two for every word
+ */
+export const DIRECTIONS = ['forward', 'reverse', 'mixed'];
+
+/**
+ * How the snake moves:
+ *    smooth:  glides continuously (Snake)
+ *    classic: one grid cell per tick (GridSnake)
+ */
+export const MOVEMENTS = ['smooth', 'classic'];
+
+/**
+ * Game modes:
+ *    classic:    the game ends when the snake hits a wall or has no
+ *                segments left; the score is the longest snake
+ *    timeAttack: as classic, but it also ends after TIME_ATTACK_MS; the
+ *                score is the number of words spelled
+ *    zen:        no walls (the snake comes out on the other side) and
+ *                neither wrong letters nor the snake's own body cost
+ *                segments; it goes on until the player stops
+ *    survival:   the snake loses a segment every SURVIVAL_DECAY_MS, only
+ *                right letters keep it alive
+ */
+export const MODES = ['classic', 'timeAttack', 'zen', 'survival'];
+export const TIME_ATTACK_MS = 2 * 60 * 1000;
+export const SURVIVAL_DECAY_MS = 3000;
+
+/**
+ * Helper to pick the next word whose difficulty <= current level.
+ * With a spaced-repetition scheduler (see scheduler.js), words that are
+ * due for practice come first; without one, any word may come.
+ */
+export function getRandomWordForLevel(words, level, random, scheduler = null, previousWord = null) {
+  const validWords = words.filter(w => w.difficulty <= level);
+  const finalList = validWords.length > 0 ? validWords : words;
+  if (scheduler) {
+    return scheduler.pickNext(finalList, random, previousWord);
+  }
+  return random.pick(finalList);
+}
+
+/**
+ * The settings of a level, see LEVELS
+ */
+export function getLevelSettings(level) {
+  return LEVELS[Math.min(Math.max(level, 1), LEVELS.length) - 1];
+}
+
+/**
+ * Returns how many extra (wrong) letters to place, based on level
+ */
+export function getNumberOfExtraLetters(level) {
+  return getLevelSettings(level).extraLetters;
+}
+
+/**
+ * The room of a level: the given share of the play area, centered in it
+ * and lined up with the grid
+ */
+export function getLevelRoom(area, share) {
+  const size = (full) => {
+    const wanted = Math.max(snapFloor(full * share, SEGMENT_SIZE), MIN_ROOM_CELLS * SEGMENT_SIZE);
+    return Math.min(wanted, full);
+  };
+  const width = size(area.width);
+  const height = size(area.height);
+  return {
+    x: area.x + snapFloor((area.width - width) / 2, SEGMENT_SIZE),
+    y: area.y + snapFloor((area.height - height) / 2, SEGMENT_SIZE),
+    width,
+    height,
+  };
+}
+
+/**
+ * Same test as Phaser.Geom.Intersects.RectangleToRectangle:
+ * rectangles that only touch at the edges count as intersecting.
+ */
+export function rectsIntersect(a, b) {
+  return !(
+    a.x + a.width < b.x ||
+    a.y + a.height < b.y ||
+    a.x > b.x + b.width ||
+    a.y > b.y + b.height
+  );
+}
+
+function snapFloor(value, gap) {
+  return Math.floor(value / gap) * gap;
+}
+
+// The shortest way across an edge the snake wraps around (zen mode)
+function shortestOffset(offset, size) {
+  if (offset > size / 2) {
+    return offset - size;
+  }
+  if (offset < -size / 2) {
+    return offset + size;
+  }
+  return offset;
+}
+
+/**
+ * Snake (smooth movement).
+ *
+ * The snake is an array of { x, y } segment centers. On each
+ * update(delta), we move the head by (speed*delta)/1000 in the current
+ * direction, and each body segment tries to follow the previous
+ * segment's old position (like a "centipede" approach).
+ *
+ * Turns are queued, so quick key presses (or swipes) make one turn each
+ * instead of the last one overwriting the others. The smooth snake makes
+ * the next turn once its head has moved a segment on from the last one,
+ * so two quick turns don't fold it back onto itself.
+ */
+export class Snake {
+  constructor(startX, startY, length = 3) {
+    this.speed = SNAKE_SPEED;
+    this.segments = [];
+    // The current direction we are heading (dx, dy):
+    this.direction = { x: 1, y: 0 }; // start moving right
+    this.turnQueue = [];             // turns asked for, not yet made
+    this.sinceTurn = SEGMENT_SIZE;   // distance moved since the last turn
+    this.wrapRoom = null; // zen mode: the room whose edges lead to the other side
+
+    // Head is segment[0], then segment[1], etc
+    for (let i = 0; i < length; i++) {
+      const x = startX - i * SEGMENT_SIZE;
+      const y = startY;
+      // Store previous location for "following" logic
+      this.segments.push({ x, y, prevX: x, prevY: y });
+    }
+  }
+
+  // A convenience for the head
+  get head() {
+    return this.segments[0];
+  }
+
+  // Called every step; we move the head smoothly based on how much time has passed.
+  update(delta) {
+    // Take the next queued turn (reversals were filtered when queued)
+    if (this.turnQueue.length > 0 && this.sinceTurn >= SEGMENT_SIZE) {
+      this.direction = this.turnQueue.shift();
+      this.sinceTurn = 0;
+    }
+
+    // Distance to move this step:
+    const distanceToMove = ((this.speed + this.segments.length) * delta) / 1000;
+    this.sinceTurn += distanceToMove;
+
+    // 1. Move head
+    const head = this.segments[0];
+    head.prevX = head.x;
+    head.prevY = head.y;
+    head.x += this.direction.x * distanceToMove;
+    head.y += this.direction.y * distanceToMove;
+    if (this.wrapRoom) {
+      this.wrapPoint(head);
+    }
+
+    // 2. For each subsequent segment, move it towards
+    //    the "prevX, prevY" of the segment in front of it.
+    for (let i = 1; i < this.segments.length; i++) {
+      const seg = this.segments[i];
+      const leader = this.segments[i - 1]; // the segment in front
+      let dx = leader.prevX - seg.x;
+      let dy = leader.prevY - seg.y;
+      if (this.wrapRoom) {
+        dx = shortestOffset(dx, this.wrapRoom.width);
+        dy = shortestOffset(dy, this.wrapRoom.height);
+      }
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      // If this gap is > SEGMENT_SIZE, we move the segment forward
+      // some portion of 'distanceToMove' to keep them from spacing out too far.
+      if (dist > SEGMENT_SIZE) {
+        // Only move up to (dist - SEGMENT_SIZE) so segments
+        // remain roughly SEGMENT_SIZE apart
+        const moveStep = Math.min(distanceToMove, dist - SEGMENT_SIZE);
+        const angle = Math.atan2(dy, dx);
+
+        seg.prevX = seg.x;
+        seg.prevY = seg.y;
+        seg.x += Math.cos(angle) * moveStep;
+        seg.y += Math.sin(angle) * moveStep;
+        if (this.wrapRoom) {
+          this.wrapPoint(seg);
+        }
+      } else {
+        // Even if dist <= SEGMENT_SIZE, we still store the current position
+        seg.prevX = seg.x;
+        seg.prevY = seg.y;
+      }
+    }
+  }
+
+  // Queue a turn, relative to the last queued direction
+  setDirection(dx, dy) {
+    const last = this.turnQueue.length > 0 ? this.turnQueue[this.turnQueue.length - 1] : this.direction;
+    const sameAsLast = last.x === dx && last.y === dy;
+    const reversal = last.x === -dx && last.y === -dy;
+    if (!sameAsLast && !reversal && this.turnQueue.length < TURN_QUEUE) {
+      this.turnQueue.push({ x: dx, y: dy });
+    }
+  }
+
+  // Brings a point that left wrapRoom back in on the other side
+  wrapPoint(point) {
+    const room = this.wrapRoom;
+    if (point.x < room.x) {
+      point.x += room.width;
+    } else if (point.x > room.x + room.width) {
+      point.x -= room.width;
+    }
+    if (point.y < room.y) {
+      point.y += room.height;
+    } else if (point.y > room.y + room.height) {
+      point.y -= room.height;
+    }
+  }
+
+  // Add one segment at the tail's position
+  grow() {
+    const tail = this.segments[this.segments.length - 1];
+    this.segments.push({ x: tail.x, y: tail.y, prevX: tail.x, prevY: tail.y });
+  }
+
+  // Remove one segment from the tail (if we have any)
+  shrink() {
+    this.segments.pop();
+  }
+
+  // If you collide with yourself, remove from collision point to tail
+  cutTailFrom(index) {
+    this.segments.splice(index);
+  }
+
+  // The square a segment covers
+  static bounds(seg) {
+    return {
+      x: seg.x - SEGMENT_SIZE / 2,
+      y: seg.y - SEGMENT_SIZE / 2,
+      width: SEGMENT_SIZE,
+      height: SEGMENT_SIZE,
+    };
+  }
+
+  // True if the head has left the room
+  isOutside(room) {
+    const head = this.head;
+    return (
+      head.x < room.x ||
+      head.x > room.x + room.width ||
+      head.y < room.y ||
+      head.y > room.y + room.height
+    );
+  }
+
+  // Index of the first body segment the head overlaps, or -1
+  findSelfHit() {
+    const headBounds = Snake.bounds(this.head);
+    for (let i = 2; i < this.segments.length; i++) {
+      // bounding-box check:
+      if (rectsIntersect(headBounds, Snake.bounds(this.segments[i]))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Index of the first segment after the head that another snake's head overlaps, or -1
+  findHitBy(otherHead) {
+    const headBounds = Snake.bounds(otherHead);
+    for (let i = 1; i < this.segments.length; i++) {
+      if (rectsIntersect(headBounds, Snake.bounds(this.segments[i]))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // True if the head overlaps a letter tile
+  headTouches(letter) {
+    return rectsIntersect(
+      Snake.bounds(this.head),
+      { x: letter.x, y: letter.y, width: SEGMENT_SIZE, height: SEGMENT_SIZE }
+    );
+  }
+}
+
+/**
+ * GridSnake (classic movement).
+ *
+ * Moves exactly one SEGMENT_SIZE cell per tick, with every segment
+ * centered in a cell of the same grid the letters are placed on.
+ * Queued turns are made one per tick.
+ * Collisions compare cells, so they are exact.
+ */
+export class GridSnake extends Snake {
+  constructor(startX, startY, length = 3) {
+    // Center the snake in the cell containing (startX, startY)
+    const cellX = snapFloor(startX, SEGMENT_SIZE) + SEGMENT_SIZE / 2;
+    const cellY = snapFloor(startY, SEGMENT_SIZE) + SEGMENT_SIZE / 2;
+    super(cellX, cellY, length);
+    this.elapsed = 0;
+    this.tick = GRID_TICK_MS;
+  }
+
+  // Time between steps; the snake speeds up a little as it grows
+  get tickInterval() {
+    return Math.max(GRID_MIN_TICK_MS, this.tick - 2 * this.segments.length);
+  }
+
+  update(delta) {
+    this.elapsed += delta;
+    while (this.elapsed >= this.tickInterval) {
+      this.elapsed -= this.tickInterval;
+      this.step();
+    }
+  }
+
+  // Move one cell: every segment takes the place of the one in front
+  step() {
+    // Take the next queued turn (reversals were filtered when queued)
+    if (this.turnQueue.length > 0) {
+      this.direction = this.turnQueue.shift();
+    }
+    for (let i = this.segments.length - 1; i > 0; i--) {
+      this.segments[i].x = this.segments[i - 1].x;
+      this.segments[i].y = this.segments[i - 1].y;
+    }
+    this.head.x += this.direction.x * SEGMENT_SIZE;
+    this.head.y += this.direction.y * SEGMENT_SIZE;
+    if (this.wrapRoom) {
+      this.wrapPoint(this.head);
+    }
+  }
+
+  // From the first or last cell of wrapRoom to the one on the other side
+  wrapPoint(point) {
+    const room = this.wrapRoom;
+    const wrap = (value, start, size) => {
+      const first = Math.ceil(start / SEGMENT_SIZE) * SEGMENT_SIZE + SEGMENT_SIZE / 2;
+      const last = snapFloor(start + size, SEGMENT_SIZE) - SEGMENT_SIZE / 2;
+      if (value < first) {
+        return last;
+      }
+      return value > last ? first : value;
+    };
+    point.x = wrap(point.x, room.x, room.width);
+    point.y = wrap(point.y, room.y, room.height);
+  }
+
+  // Grid cell of a point, as "col,row"
+  static cellOf(x, y) {
+    return `${Math.floor(x / SEGMENT_SIZE)},${Math.floor(y / SEGMENT_SIZE)}`;
+  }
+
+  isOutside(room) {
+    const head = this.head;
+    return (
+      head.x - SEGMENT_SIZE / 2 < room.x ||
+      head.x + SEGMENT_SIZE / 2 > room.x + room.width ||
+      head.y - SEGMENT_SIZE / 2 < room.y ||
+      head.y + SEGMENT_SIZE / 2 > room.y + room.height
+    );
+  }
+
+  findSelfHit() {
+    const headCell = GridSnake.cellOf(this.head.x, this.head.y);
+    for (let i = 1; i < this.segments.length; i++) {
+      if (GridSnake.cellOf(this.segments[i].x, this.segments[i].y) === headCell) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  findHitBy(otherHead) {
+    const headCell = GridSnake.cellOf(otherHead.x, otherHead.y);
+    for (let i = 1; i < this.segments.length; i++) {
+      if (GridSnake.cellOf(this.segments[i].x, this.segments[i].y) === headCell) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  // Letter tiles have their top-left corner on the grid
+  headTouches(letter) {
+    return GridSnake.cellOf(this.head.x, this.head.y) ===
+      GridSnake.cellOf(letter.x + SEGMENT_SIZE / 2, letter.y + SEGMENT_SIZE / 2);
+  }
+}
+
+/**
+ * GameState: one running game.
+ */
+export class GameState {
+  /**
+   * options:
+   *    words:       the word entries to play (see wordlists.js)
+   *    primaryLang, newLang: language codes of the word list (may be '')
+   *    room:        { x, y, width, height } the play area; the room the
+   *                 snake moves in is a part of it, see getLevelRoom()
+   *    random:      seeded generator (rng.js Random)
+   *    level:       current level (default 1)
+   *    direction:   one of DIRECTIONS (default 'forward')
+   *    spelling:    name of a SPELLING_PRESETS entry or the spelling
+   *                 options themselves (see spellingOptions(), default 'relaxed')
+   *    movement:    one of MOVEMENTS (default 'smooth')
+   *    mode:        one of MODES (default 'classic')
+   *    speedScale:  smooth movement speed factor (default 1)
+   *    speedFactor: the player's speed setting, multiplies the level's
+   *                 speed in both movements (default 1)
+   *    scheduler:   optional spaced-repetition Scheduler for word choice
+   *    wordSequence: word entries to play in this order instead of
+   *                 picking them (when replaying a recorded game)
+   */
+  constructor(options) {
+    this.words = options.words;
+    this.languages = { primary: options.primaryLang || '', newLang: options.newLang || '' };
+    this.area = options.room;
+    this.random = options.random;
+    this.level = options.level || 1;
+    this.direction = options.direction || 'forward';
+    this.spelling = spellingOptions(options.spelling);
+    this.movement = options.movement || 'smooth';
+    this.mode = options.mode || 'classic';
+    this.speedScale = options.speedScale || 1;
+    this.speedFactor = options.speedFactor || 1;
+    this.scheduler = options.scheduler || null;
+    this.wordRandom = new Random(`${this.random.seed}:words`);
+    this.wordSequence = options.wordSequence ? [...options.wordSequence] : null;
+
+    this.time = 0;          // game time in ms
+    this.stepCount = 0;     // number of steps taken
+    this.over = false;
+    this.overReason = null;
+    this.events = [];
+    this.wordsCompleted = 0;
+    this.lettersRight = 0;  // letters taken right in the whole game
+    this.lettersWrong = 0;  // letters taken wrong in the whole game
+    this.decayElapsed = 0;  // survival mode: time since the last lost segment
+
+    // Word logic
+    this.currentWord = null;
+    this.prompt = '';
+    this.answers = [];
+    this.answerSide = 'newLang';
+    this.spelledLetters = '';
+    this.wrongLetters = 0;
+    this.wordStartTime = 0;
+
+    // Letters that appear on field
+    this.lettersOnField = [];
+    this.nextLetterId = 1;
+
+    // Room and snake of the first level
+    this.snake = null;
+    this.betweenLevels = false;
+    this.applyLevel();
+    this.bestLength = this.snake.segments.length;
+  }
+
+  get length() {
+    return this.snake.segments.length;
+  }
+
+  /**
+   * What the mode's leaderboard counts: the number of words spelled in
+   * time attack, the longest snake otherwise
+   */
+  get score() {
+    return this.mode === 'timeAttack' ? this.wordsCompleted : this.bestLength;
+  }
+
+  // Share of the letters taken right in the whole game, null before any
+  get accuracy() {
+    const picks = this.lettersRight + this.lettersWrong;
+    return picks === 0 ? null : this.lettersRight / picks;
+  }
+
+  // Time attack: milliseconds left
+  get timeLeft() {
+    return Math.max(0, TIME_ATTACK_MS - this.time);
+  }
+
+  /**
+   * Sets up the room and snake of the current level and starts counting
+   * towards the next one. The snake keeps its length.
+   */
+  applyLevel() {
+    this.levelSettings = getLevelSettings(this.level);
+    this.levelWords = 0;       // words spelled on this level
+    this.levelCorrect = 0;     // letters taken right on this level
+    this.levelWrong = 0;       // letters taken wrong on this level
+    this.room = getLevelRoom(this.area, this.levelSettings.room);
+
+    // Create snake in the center of the room
+    const length = this.snake ? this.snake.segments.length : 3;
+    const centerX = snapFloor(this.room.x + this.room.width / 2, SEGMENT_SIZE);
+    const centerY = snapFloor(this.room.y + this.room.height / 2, SEGMENT_SIZE);
+    if (this.movement === 'classic') {
+      this.snake = new GridSnake(centerX, centerY, length);
+      this.snake.tick = Math.round(this.levelSettings.tick / this.speedFactor);
+    } else {
+      this.snake = new Snake(centerX, centerY, length);
+      this.snake.speed = this.levelSettings.speed * this.speedFactor;
+    }
+    if (this.mode === 'zen') {
+      this.snake.wrapRoom = this.room;
+    }
+  }
+
+  /**
+   * How far the player is towards the next level
+   */
+  levelProgress() {
+    const picks = this.levelCorrect + this.levelWrong;
+    return {
+      words: this.levelWords,
+      wordsNeeded: LEVEL_UP_WORDS,
+      accuracy: picks === 0 ? null : this.levelCorrect / picks,
+      accuracyNeeded: LEVEL_UP_ACCURACY,
+    };
+  }
+
+  readyForNextLevel() {
+    const progress = this.levelProgress();
+    return progress.words >= progress.wordsNeeded && progress.accuracy >= progress.accuracyNeeded;
+  }
+
+  /**
+   * Continues after a 'levelUp' event, with a new word
+   */
+  startNextLevel() {
+    if (!this.betweenLevels) {
+      return;
+    }
+    this.betweenLevels = false;
+    this.applyLevel();
+    this.loadNewWord();
+  }
+
+  // Start first word
+  start() {
+    this.loadNewWord();
+  }
+
+  // Returns the events since the last call, and forgets them
+  takeEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  setDirection(dx, dy) {
+    this.snake.setDirection(dx, dy);
+  }
+
+  /**
+   * Moves the game forward by dt milliseconds
+   */
+  step(dt) {
+    // Nothing moves on the level-up screen either
+    if (this.over || this.betweenLevels) {
+      return;
+    }
+    this.time += dt;
+    this.stepCount++;
+
+    // The smooth snake's speed scales with the screen size;
+    // the grid snake steps on real time
+    this.snake.update(this.movement === 'classic' ? dt : dt * this.speedScale);
+
+    // After we move, check for collisions:
+    this.handleRoomBounds();
+    if (!this.over) this.handleSelfCollision();
+    if (!this.over) this.handleLetterCollisions();
+    if (!this.over) this.handleMode(dt);
+  }
+
+  // The end conditions of time attack and survival
+  handleMode(dt) {
+    if (this.mode === 'timeAttack' && this.time >= TIME_ATTACK_MS) {
+      this.endGame('time');
+    } else if (this.mode === 'survival') {
+      this.decayElapsed += dt;
+      if (this.decayElapsed >= SURVIVAL_DECAY_MS) {
+        this.decayElapsed -= SURVIVAL_DECAY_MS;
+        this.snake.shrink();
+        this.events.push({ type: 'decay' });
+        if (this.snake.segments.length === 0) {
+          this.endGame('empty');
+        }
+      }
+    }
+  }
+
+  endGame(reason) {
+    if (!this.over) {
+      this.over = true;
+      this.overReason = reason;
+      this.events.push({ type: 'gameOver', reason });
+    }
+  }
+
+  handleRoomBounds() {
+    // If head goes out of the "room," game over (zen has no walls).
+    if (this.mode !== 'zen' && this.snake.isOutside(this.room)) {
+      this.endGame('wall');
+    }
+  }
+
+  handleSelfCollision() {
+    // If head intersects any body part, cut the tail from there.
+    const hit = this.mode === 'zen' ? -1 : this.snake.findSelfHit();
+    if (hit !== -1) {
+      this.snake.cutTailFrom(hit);
+      this.events.push({ type: 'selfHit', index: hit });
+      if (this.snake.segments.length === 0) {
+        this.endGame('empty');
+      }
+    }
+  }
+
+  handleLetterCollisions() {
+    const wordsCompleted = this.wordsCompleted;
+    for (let i = this.lettersOnField.length - 1; i >= 0; i--) {
+      const letterObj = this.lettersOnField[i];
+      if (this.snake.headTouches(letterObj)) {
+        // Remove it from the field
+        this.lettersOnField.splice(i, 1);
+        // Collided with a letter
+        this.processLetter(letterObj);
+        // A finished word replaces (or, on a level up, clears) the letters,
+        // so the indexes of this loop are no longer theirs
+        if (this.over || this.betweenLevels || this.wordsCompleted !== wordsCompleted) {
+          return;
+        }
+      }
+    }
+  }
+
+  processLetter(letterObj) {
+    // The index of the next needed letter in the answer
+    const nextNeededIndex = this.spelledLetters.length;
+
+    // Any accepted answer that still fits what has been spelled may go on
+    const candidates = matchingAnswers(this.answers, this.spelledLetters, this.spelling);
+    const wordNeeded = candidates.find(answer =>
+      nextNeededIndex < answer.length &&
+      lettersMatch(letterObj.letter, answer[nextNeededIndex], this.spelling)
+    );
+
+    if (wordNeeded) {
+      // ---- Correct pick in correct order ----
+      const neededChar = wordNeeded[nextNeededIndex];
+      this.snake.grow();
+      this.updateLength();
+      // Add the character as written in the answer, then any
+      // spaces/punctuation that are filled in automatically
+      this.spelledLetters = autoFill(wordNeeded, this.spelledLetters + neededChar, this.spelling);
+      this.levelCorrect++;
+      this.lettersRight++;
+      this.events.push({ type: 'correct', letter: letterObj.letter });
+
+      // If fully spelled the entire word, load next (or go up a level)
+      if (this.spelledLetters.length >= wordNeeded.length) {
+        this.wordsCompleted++;
+        this.levelWords++;
+        this.events.push({
+          type: 'wordCompleted',
+          word: this.currentWord,
+          answer: wordNeeded,
+          answerLang: this.languages[this.answerSide],
+          answers: this.answers,
+          wrongLetters: this.wrongLetters,
+          hintsUsed: this.hintsUsed,
+          timeToSpell: this.time - this.wordStartTime,
+        });
+        if (this.readyForNextLevel()) {
+          this.level++;
+          this.betweenLevels = true;
+          this.lettersOnField = [];
+          this.events.push({ type: 'levelUp', level: this.level, settings: getLevelSettings(this.level) });
+        } else {
+          this.loadNewWord();
+        }
+      }
+      // Otherwise, do nothing special; letters remain on the board
+    } else {
+      // ---- Wrong pick (out of order OR truly not in the word) ----
+      this.wrongLetters++;
+      this.levelWrong++;
+      this.lettersWrong++;
+      if (this.mode !== 'zen') {
+        this.snake.shrink();
+      }
+      this.updateLength();
+      this.events.push({ type: 'wrong', letter: letterObj.letter });
+      if (this.snake.segments.length === 0) {
+        this.endGame('empty');
+        return;
+      }
+
+      // If the letter is actually part of the word (just out of order),
+      // re-spawn it so the player can still collect it correctly later.
+      const stillNeeded = tilesForAnswers(
+        candidates.map(answer => answer.slice(nextNeededIndex)), this.spelling
+      );
+      if (stillNeeded.includes(letterObj.letter)) {
+        this.spawnLetter(letterObj.letter);
+      }
+    }
+  }
+
+  /**
+   * Gives the next useful hint for the current word, for HINT_COST segments.
+   * Returns false (and costs nothing) if no hint can be given, or the
+   * snake is too short to pay for it.
+   */
+  useHint() {
+    if (this.over || this.betweenLevels || this.snake.segments.length <= HINT_COST) {
+      return false;
+    }
+    const candidates = matchingAnswers(this.answers, this.spelledLetters, this.spelling);
+    for (let i = 0; i < HINT_KINDS.length; i++) {
+      const kind = HINT_KINDS[(this.hintsUsed + i) % HINT_KINDS.length];
+      if (this.applyHint(kind, candidates)) {
+        this.hintsUsed++;
+        for (let j = 0; j < HINT_COST; j++) {
+          this.snake.shrink();
+        }
+        this.events.push({ type: 'hint', kind });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Returns true if the hint changed anything
+  applyHint(kind, candidates) {
+    const spelled = this.spelledLetters.length;
+    switch (kind) {
+      case 'highlight': {
+        const next = new Set(candidates
+          .filter(answer => spelled < answer.length)
+          .map(answer => tileLetter(answer[spelled], this.spelling)));
+        const ids = this.lettersOnField.filter(l => next.has(l.letter)).map(l => l.id);
+        const known = ids.every(id => this.hintedLetterIds.includes(id));
+        this.hintedLetterIds = ids;
+        return ids.length > 0 && !known;
+      }
+      case 'reveal': {
+        const answer = candidates[0];
+        const shown = Math.max(spelled, this.revealed.length) + REVEAL_LETTERS;
+        const revealed = answer ? autoFill(answer, answer.slice(0, shown), this.spelling) : '';
+        if (revealed.length <= Math.max(spelled, this.revealed.length)) {
+          return false;
+        }
+        this.revealed = revealed;
+        return true;
+      }
+      case 'removeDistractors': {
+        // Keep enough tiles for any answer, the rest are distractors
+        const needed = tilesForAnswers(candidates.map(answer => answer.slice(spelled)), this.spelling);
+        const distractors = this.lettersOnField.filter(l => {
+          const index = needed.indexOf(l.letter);
+          if (index === -1) {
+            return true;
+          }
+          needed.splice(index, 1);
+          return false;
+        });
+        const removed = distractors.slice(0, Math.ceil(distractors.length / 2));
+        this.lettersOnField = this.lettersOnField.filter(l => !removed.includes(l));
+        return removed.length > 0;
+      }
+    }
+    return false;
+  }
+
+  updateLength() {
+    this.bestLength = Math.max(this.bestLength, this.snake.segments.length);
+  }
+
+  loadNewWord() {
+    // Pick the next word to practise for our current level
+    // (or take the next one of a recorded game)
+    if (this.wordSequence && this.wordSequence.length > 0) {
+      this.currentWord = this.wordSequence.shift();
+    } else {
+      this.currentWord = getRandomWordForLevel(
+        this.words, this.level, this.wordRandom, this.scheduler, this.currentWord
+      );
+    }
+
+    // Reset the learning record for this word
+    this.wrongLetters = 0;
+    this.hintsUsed = 0;
+    this.hintedLetterIds = [];  // tiles marked by a 'highlight' hint
+    this.revealed = '';         // start of the answer shown by a 'reveal' hint
+    this.wordStartTime = this.time;
+
+    // Which way to translate this word
+    let direction = this.direction;
+    if (direction === 'mixed') {
+      direction = this.random.pick(['forward', 'reverse']);
+    }
+    // answerSide is the field of the word entry to spell
+    this.answerSide = (direction === 'reverse') ? 'primary' : 'newLang';
+    this.promptSide = (direction === 'reverse') ? 'newLang' : 'primary';
+    this.prompt = formatAnswers(this.currentWord[this.promptSide]);
+    this.answers = this.currentWord[this.answerSide];
+
+    this.spelledLetters = this.startingLetters();
+
+    // Place letters for the entire answer
+    this.placeLetters();
+
+    this.events.push({
+      type: 'newWord',
+      word: this.currentWord,
+      prompt: this.prompt,
+      promptLang: this.languages[this.promptSide],
+      answers: this.answers,
+    });
+  }
+
+  // Any leading punctuation (e.g. "¿") all answers start with is filled in
+  startingLetters() {
+    const prefixes = this.answers.map(answer => autoFill(answer, '', this.spelling));
+    return prefixes.every(prefix => prefix === prefixes[0]) ? prefixes[0] : '';
+  }
+
+  /**
+   * Starts the current word over (the pause menu's "Restart word"):
+   * nothing spelled and its letters placed anew. The mistakes and hints
+   * so far still count for the word. Returns false if there is no word
+   * to restart.
+   */
+  restartWord() {
+    if (this.over || this.betweenLevels || !this.currentWord) {
+      return false;
+    }
+    this.spelledLetters = this.startingLetters();
+    this.hintedLetterIds = [];
+    this.revealed = '';
+    this.placeLetters();
+    this.events.push({ type: 'wordRestarted' });
+    return true;
+  }
+
+  placeLetters() {
+    // Remove any letters currently on the field
+    this.lettersOnField = [];
+
+    // 1) Place each letter from the entire answer
+    //    (so if the answer is "hello", we place 'h','e','l','l','o';
+    //    auto-filled spaces and punctuation get no tiles).
+    //    With several accepted answers, there are enough tiles for any of them.
+    this.answerTiles().forEach(letter => {
+      this.spawnLetter(letter);
+    });
+
+    // 2) Place extra (wrong) letters from the alphabet of the answer's language,
+    //    mostly ones that are easy to confuse with the letters of the answer
+    const extraCount = this.levelSettings.extraLetters;
+    const lang = this.languages[this.answerSide];
+    const alphabet = getAlphabet(lang, this.words.flatMap(w => w[this.answerSide]));
+    pickDistractors(this.answers.join(''), alphabet, extraCount, this.random, this.spelling).forEach(letter => {
+      this.spawnLetter(letter);
+    });
+  }
+
+  // The tiles placed for the answer (VersusState places them for both players)
+  answerTiles() {
+    return tilesForAnswers(this.answers, this.spelling);
+  }
+
+  spawnLetter(letter) {
+    const room = this.room;
+    const maxAttempts = 100; // avoid infinite loops
+    for (let i = 0; i < maxAttempts; i++) {
+      // Random position snapped to SEGMENT_SIZE
+      const x = snapFloor(this.random.between(room.x, room.x + room.width - SEGMENT_SIZE), SEGMENT_SIZE);
+      const y = snapFloor(this.random.between(room.y, room.y + room.height - SEGMENT_SIZE), SEGMENT_SIZE);
+
+      // Candidate rectangle for our letter
+      const candidate = { x, y, width: SEGMENT_SIZE, height: SEGMENT_SIZE };
+
+      // Check collision with existing letters
+      const overlaps = this.lettersOnField.some(existing =>
+        rectsIntersect(candidate, { x: existing.x, y: existing.y, width: SEGMENT_SIZE, height: SEGMENT_SIZE })
+      );
+
+      // If no overlap, place the new letter here
+      if (!overlaps) {
+        return this.addLetter(letter, x, y);
+      }
+    }
+
+    // If we exhaust maxAttempts, we’ll just place it anyway (rare corner case)
+    console.warn('Could not find non-overlapping position, placing anyway.');
+    return this.addLetter(letter, room.x, room.y);
+  }
+
+  addLetter(letter, x, y) {
+    const letterObj = { id: this.nextLetterId++, letter, x, y };
+    this.lettersOnField.push(letterObj);
+    return letterObj;
+  }
+}
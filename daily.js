@@ -0,0 +1,71 @@
+/*******************************************************************
+ * daily.js
+ * The Daily Challenge: one game a day that is the same for everyone.
+ *
+ * - The seed comes from the date, so every player gets the same words
+ *   in the same order, and the same letters in the same places.
+ * - It is played on the first built-in word list with fixed rules
+ *   (DAILY_RULES), and without spaced repetition, which would make the
+ *   word order personal. The movement and speed are fixed, and so is the
+ *   screen (GameScene scales it to the window), which decides the room.
+ * - The best score of every day is kept locally:
+ *      { 'YYYY-MM-DD': best length }
+ *******************************************************************/
+
+import { dayKey } from './stats.js';
+import { storage } from './profiles.js';
+
+const DAILY_KEY = 'wordSnakeDailyBest';
+
+export const DAILY_RULES = {
+  direction: 'forward',
+  spelling: 'relaxed',
+  mode: 'classic',
+  movement: 'classic',
+  speedFactor: 1,                       // as the "normal" snake speed
+  screen: { width: 960, height: 640 },  // in game pixels
+};
+
+/**
+ * The day ('YYYY-MM-DD', local time) of the challenge being played now
+ */
+export function getDailyDay(time = Date.now()) {
+  return dayKey(time);
+}
+
+/**
+ * The seed of a day's challenge
+ */
+export function getDailySeed(day) {
+  return `daily-${day}`;
+}
+
+export function loadDailyBests() {
+  try {
+    return JSON.parse(storage.getItem(DAILY_KEY) || '{}') || {};
+  } catch (err) {
+    console.error('Stored daily challenge scores are damaged:', err);
+    return {};
+  }
+}
+
+/**
+ * Best score of the day, or null if it has not been played
+ */
+export function getDailyBest(day) {
+  const best = loadDailyBests()[day];
+  return typeof best === 'number' ? best : null;
+}
+
+/**
+ * Keeps the score if it beats the day's best. Returns true if it did.
+ */
+export function recordDailyScore(day, score) {
+  const bests = loadDailyBests();
+  if (typeof bests[day] === 'number' && bests[day] >= score) {
+    return false;
+  }
+  bests[day] = score;
+  storage.setItem(DAILY_KEY, JSON.stringify(bests));
+  return true;
+}
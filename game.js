@@ -2,13 +2,16 @@
  * game.js
  * A Snake-like game for learning words in another language.
  * 
- * 1) Reads from a (sample) word list with three fields: 
+ * 1) Reads the word list chosen on the title screen (see wordlists.js). 
+ *    Each entry has three fields:
  *    - primary language word
  *    - new language word
  *    - difficulty level
  * 
  * 2) On each “round,” we display a primary-language word on the top-left.
  *    The goal is to collect letters in the correct order to form the new-language word.
+ *    (In reverse direction it is the other way around: the new-language word is
+ *    shown and the primary word is spelled; mixed picks a direction per word.)
  *    
  * 3) If the player picks the correct next letter, the snake grows by 1 segment 
  *    and that letter appears in the spelled word on the top-right.
@@ -20,230 +23,514 @@
  *    point to the tail.
  * 
  * 6) Once the new-language word is spelled, we move on to a new word. 
- *    The difficulty or “level” increases gradually, meaning:
+ *    Which word comes next is decided by spaced repetition (see scheduler.js):
+ *    words due for practice, and the ones you keep missing, come first.
+ *    The difficulty or “level” increases gradually: after spelling a few
+ *    words with few enough mistakes, you reach the next level (see LEVELS
+ *    in core.js), meaning:
  *       - At level N, we use word entries that have difficulty <= N.
- *       - With higher levels, we place more extra/incorrect letters in the room.
+ *       - With higher levels, we place more extra/incorrect letters in the room,
+ *         the snake moves faster and the room gets smaller.
  * 
  * 7) If the snake reaches zero length, game over.
+ *
+ * 8) Other game modes (see MODES in core.js) end differently: time attack
+ *    after two minutes, zen only when the player stops (no walls, no
+ *    shrinking), and in survival the snake keeps shrinking on its own.
+ *    Every mode has its own leaderboard (see leaderboard.js).
+ *    Two players can also race each other on one keyboard (see versus.js),
+ *    or up to four over the network (see online.js and server/).
+ * 
+ * The rules themselves live in core.js (no Phaser needed, so they can be
+ * tested with `npm test`); the scenes here draw the game and handle input.
  * 
  *******************************************************************/
 
+import {
+  WORD_LIST_DIR,
+  WORD_LIST_INDEX,
+  getWordListFormat,
+  parseWordList,
+  loadUserWordLists,
+} from './wordlists.js';
+import { WordListEditor, downloadFile } from './wordlisteditor.js';
+import { loadScheduler, saveScheduler, MAX_BOX } from './scheduler.js';
+import { WordStats, loadStats, saveStats } from './stats.js';
+import { SPELLING_PRESETS, SPELLING_FLAGS, spellingOptions, spellingPresetOf, tileLabel } from './alphabets.js';
+import {
+  GameState,
+  DIRECTIONS,
+  MOVEMENTS,
+  MODES,
+  SEGMENT_SIZE,
+  STEP_MS,
+  getLevelSettings,
+  HINT_COST,
+} from './core.js';
+import {
+  SORT_FIELDS,
+  loadScores,
+  queryScores,
+  recordScore,
+  isHighScore,
+  loadPlayerName,
+  savePlayerName,
+} from './leaderboard.js';
+import { Random } from './rng.js';
+import {
+  DAILY_RULES,
+  getDailyDay,
+  getDailySeed,
+  getDailyBest,
+  recordDailyScore,
+} from './daily.js';
+import {
+  ReplayRecorder,
+  parseReplay,
+  loadReplays,
+  saveReplays,
+  addReplay,
+  replayFileName,
+} from './replay.js';
+import { speechAvailable, loadVoices, speak, stopSpeaking } from './speech.js';
+import {
+  loadSettings,
+  saveSettings,
+  onSettingsChanged,
+  SPEEDS,
+  CONTROL_SCHEMES,
+  PAUSE_KEYS,
+  SWIPE_DISTANCES,
+  TEXT_SIZES,
+  THEMES,
+  THEME_NAMES,
+} from './settings.js';
+import { playSound } from './sfx.js';
+import { announce, spellOut } from './announce.js';
+import { registerServiceWorker, checkForUpdate, onUpdateReady, applyUpdate } from './updates.js';
+import { isOnline, onConnectionChange } from './offline.js';
+import { VersusState, VERSUS_WORDS } from './versus.js';
+import { OnlineClient, SnapshotBuffer, getServerUrl } from './online.js';
+import {
+  loadProfiles,
+  getCurrentProfile,
+  selectProfile,
+  createProfile,
+  deleteProfile,
+  exportProfile,
+  parseProfile,
+  importProfile,
+  profileFileName,
+  storage,
+} from './profiles.js';
+
 // To match your existing setup:
 const APP_VERSION = window.APP_VERSION || '(Unknown)';
 
 /**
  * -------------------------------------------------------------
- * SAMPLE WORD DATA
- * In a real app, you might load this from a server or separate file.
- * Each entry has: { primary: string, newLang: string, difficulty: number }
+ * WORD LISTS
+ * Loaded from the files named in wordlists/index.json (see wordlists.js).
+ * Each list is { id, name, primaryLang, newLang, words, errors }, where every
+ * word entry has { primary: string[], newLang: string[], difficulty: number }
+ * (one string per accepted answer).
+ * Filled in by BootScene the first time it runs.
  * -------------------------------------------------------------
  */
-/*
-const WORD_LIST = [
-  { primary: 'idrottshall', newLang: 'sports centre', difficulty: 1 },
-  { primary: 'ta reda på', newLang: 'find out', difficulty: 1 },
-  { primary: 'bibliotek', newLang: 'library', difficulty: 1 },
-  { primary: 'språk', newLang: 'language', difficulty: 1 },
-  { primary: 'avslutningsvis', newLang: 'finally', difficulty: 1 },
-  { primary: 'mjukvaruingenjör', newLang: 'software engineer', difficulty: 1 },
-  { primary: 'bild', newLang: 'picture', difficulty: 1 },
-  { primary: 'viktig', newLang: 'important', difficulty: 1 },
-  { primary: 'kladdig, stökig, rörig', newLang: 'messy', difficulty: 1 },
-  { primary: 'ta med din egen', newLang: 'bring your own', difficulty: 1 },
-  // Add more words as you wish...
-];
-*/
-/*
-const WORD_LIST = [
-  { primary: 'låt oss gå', newLang: "let's go", difficulty: 1 },
-  { primary: 'Hur mycket är klockan?', newLang: 'What time is it?', difficulty: 1 },
-  { primary: 'cykeltur', newLang: 'bike ride', difficulty: 1 },
-  { primary: 'däck', newLang: 'tyre', difficulty: 1 },
-  { primary: 'punktering', newLang: 'flat tyre', difficulty: 1 },
-  { primary: 'galen', newLang: 'crazy', difficulty: 1 },
-  { primary: 'pengar', newLang: 'money', difficulty: 1 },
-  { primary: 'dålig arm', newLang: 'bad arm', difficulty: 1 },
-  { primary: 'bra idé', newLang: 'good idea', difficulty: 1 },
-  { primary: 'hämta upp någon', newLang: 'pick someone up', difficulty: 1 },
-  // Add more words as you wish...
-];
-*/
-const WORD_LIST = [
-  { primary: 'möjlighet', newLang: "possibility", difficulty: 1 },
-  { primary: 'stjäla', newLang: 'steal', difficulty: 1 },
-  { primary: 'busshållplats', newLang: 'bus stop', difficulty: 1 },
-  { primary: 'träna', newLang: 'train', difficulty: 1 },
-  { primary: 'morbror/farbror', newLang: 'uncle', difficulty: 1 },
-  { primary: 'jag måste säga', newLang: 'I have to say', difficulty: 1 },
-  { primary: 'utan', newLang: 'without', difficulty: 1 },
-  { primary: 'svårt', newLang: 'difficult', difficulty: 1 },
-  { primary: 'stanna', newLang: 'stay', difficulty: 1 },
-  { primary: 'betala', newLang: 'pay', difficulty: 1 },
-  // Add more words as you wish...
-];
+let wordLists = null;
+
+/**
+ * All lists that can be played: the user's own lists (from the
+ * word list editor) first, then the built-in ones.
+ */
+function getPlayableWordLists() {
+  const userLists = loadUserWordLists().filter(list => list.words.length > 0);
+  return [...userLists, ...wordLists];
+}
+
+/**
+ * The player's settings (see settings.js), kept up to date as they change
+ */
+let prefs = loadSettings();
+onSettingsChanged(changed => {
+  prefs = changed;
+});
+
+// After switching to another profile (see profiles.js): its settings
+function reloadSettings() {
+  prefs = loadSettings();
+}
+
+// Colors of the chosen theme
+function theme() {
+  return THEMES[prefs.theme];
+}
+
+// A theme's CSS color as a number, for shapes
+function themeColor(css) {
+  return Phaser.Display.Color.HexStringToColor(css).color;
+}
+
+// A font size scaled to the chosen text size, e.g. '20px'
+function px(size) {
+  return `${Math.round(size * TEXT_SIZES[prefs.textSize])}px`;
+}
+
+// The sound effects' volume, 0 when muted
+function sfxVolume() {
+  return prefs.muted ? 0 : prefs.sfxVolume;
+}
 
 /**
- * Helper to pick a random word whose difficulty <= current level
+ * Runs save() and logs rather than throws when it fails, so a full
+ * storage quota does not stop the game
  */
-function getRandomWordForLevel(level, random) {
-  const validWords = WORD_LIST.filter(w => w.difficulty <= level);
-  const finalList = validWords.length > 0 ? validWords : WORD_LIST; 
-  return random.pick(finalList);
+function trySaving(what, save) {
+  try {
+    save();
+  } catch (err) {
+    console.error(`Could not save the ${what}:`, err);
+  }
 }
 
 /**
- * Returns how many extra (wrong) letters to place, based on level
+ * How strictly answers are spelled: the presets of the title screen
+ * (see SPELLING_PRESETS in alphabets.js); SettingsScene sets each flag
+ */
+const SPELLING_MODES = Object.keys(SPELLING_PRESETS);
+
+/**
+ * E.g. "SV → EN" for a list with language codes
  */
-function getNumberOfExtraLetters(level) {
-  return Math.min(2 + level, 15); 
+function describeDirection(direction, list) {
+  const primary = (list && list.primaryLang ? list.primaryLang : 'primary').toUpperCase();
+  const newLang = (list && list.newLang ? list.newLang : 'new').toUpperCase();
+  switch (direction) {
+    case 'reverse': return `${newLang} → ${primary}`;
+    case 'mixed':   return `${primary} ⇄ ${newLang}`;
+    default:        return `${primary} → ${newLang}`;
+  }
 }
 
 /**
- * Constants for UI layout, segment size, etc.
+ * Constants for UI layout
  */
 const ROOM_MARGIN = 40;      // margin on each side of play area
 const TOP_UI_HEIGHT = 40;    // top space for text
-const SEGMENT_SIZE = 20;     // each snake segment is 20x20 px
-const SNAKE_SPEED = 20;     // speed in pixels/second
-// We'll do collisions each frame, so no "tick" interval needed.
+const MAX_FRAME_MS = 250;    // longest frame caught up on (e.g. after a hiccup)
+const LEVEL_UP_SCREEN_MS = 2500; // how long the level-up screen is shown
+// The game is as large as the window (see config); a daily challenge changes it for a while
+const WINDOW_SIZE = { width: window.innerWidth, height: window.innerHeight };
 
 /**
- * Snake class (smooth movement).
- * 
- * The snake is an array of Phaser.Rectangle objects. On each
- * update(delta), we move the head by (speed*delta)/1000 in the current
- * direction, and each body segment tries to follow the previous
- * segment's old position (like a "centipede" approach).
+ * How the snake moves, see MOVEMENTS in core.js
  */
-class Snake {
-  constructor(scene, startX, startY, length = 3) {
-    this.scene = scene;
-    this.speed = SNAKE_SPEED;
-    this.segments = [];
-    // The current direction we are heading (dx, dy):
-    this.direction = { x: 1, y: 0 }; // start moving right
-    this.pendingDirection = null; // store recent input
-
-    // Create the initial snake
-    // Head is segment[0], then segment[1], etc
-    for (let i = 0; i < length; i++) {
-      let x = startX - i * SEGMENT_SIZE;
-      let y = startY;
-      let color = (i === 0) ? 0x00cc00 : 0x00ff00; // head slightly different
-      let rect = scene.add.rectangle(x, y, SEGMENT_SIZE, SEGMENT_SIZE, color)
-                       .setOrigin(0.5);
-      // Store previous location for "following" logic
-      rect.prevX = x;
-      rect.prevY = y;
-      this.segments.push(rect);
-    }
-  }
-
-  // A convenience for the head
-  get head() {
-    return this.segments[0];
-  }
-
-  // Called every frame from GameScene.update(...).
-  // We move the head smoothly based on how much time has passed.
-  update(delta) {
-    // If there's a pending direction (from input),
-    // and it’s not a 180° reversal, update direction now:
-    if (this.pendingDirection) {
-      if (!this.isOppositeDirection(this.pendingDirection)) {
-        this.direction = { ...this.pendingDirection };
+function getMovementSetting() {
+  const saved = storage.getItem('wordSnakeMovement');
+  return MOVEMENTS.includes(saved) ? saved : 'smooth';
+}
+
+/**
+ * Game mode: one of MODES in core.js, two players (VersusScene) or
+ * online (OnlineLobbyScene)
+ */
+const PLAY_MODES = [...MODES, 'versus', 'online'];
+
+function getModeSetting() {
+  const saved = storage.getItem('wordSnakeMode');
+  return PLAY_MODES.includes(saved) ? saved : 'classic';
+}
+
+const MODE_NAMES = {
+  classic: 'Classic',
+  timeAttack: 'Time attack',
+  zen: 'Zen',
+  survival: 'Survival',
+  versus: 'Two players',
+  online: 'Online',
+};
+
+// Colors of the snakes in versus and online games (see THEMES)
+const SNAKE_COLORS = ['snake', 'rival', 'rival2', 'rival3'];
+
+// A theme's shape color as CSS, for text
+function cssColor(color) {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * A centered row of text buttons: [{ label, onClick }].
+ * Returns the button texts.
+ */
+function createButtonRow(scene, y, buttons) {
+  const style = { fontSize: px(18), fill: theme().text, backgroundColor: theme().button };
+  const texts = buttons.map(({ label, onClick }) => {
+    const text = scene.add.text(0, y, label, style).setOrigin(0.5).setPadding(8).setInteractive();
+    text.on('pointerdown', onClick);
+    return text;
+  });
+  // Center the row
+  const gap = 12;
+  const totalWidth = texts.reduce((sum, t) => sum + t.displayWidth, 0) + gap * (texts.length - 1);
+  let x = (scene.scale.width - totalWidth) / 2;
+  texts.forEach(t => {
+    t.x = x + t.displayWidth / 2;
+    x += t.displayWidth + gap;
+  });
+  return texts;
+}
+
+/**
+ * A "< label >" row (e.g. on the title screen) for choosing between values.
+ * UP/DOWN pick the row, LEFT/RIGHT (or tapping the arrows) change it.
+ * options: { count, index, label(i) => string, onChange(i) }
+ */
+function addOptionRow(scene, y, options) {
+  if (!scene.optionRows) {
+    scene.optionRows = [];
+    scene.focusedRow = 0;
+    scene.input.keyboard.on('keydown-UP', () => focusOptionRow(scene, -1));
+    scene.input.keyboard.on('keydown-DOWN', () => focusOptionRow(scene, 1));
+    scene.input.keyboard.on('keydown-LEFT', () => scene.optionRows[scene.focusedRow].step(-1));
+    scene.input.keyboard.on('keydown-RIGHT', () => scene.optionRows[scene.focusedRow].step(1));
+    scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      scene.optionRows = null;
+    });
+  }
+
+  const style = { fontSize: px(20), fill: theme().text };
+  const text = scene.add.text(scene.scale.width / 2, y, '', style).setOrigin(0.5);
+  const prevButton = scene.add.text(0, y, '<', style).setOrigin(0.5).setPadding(8).setInteractive();
+  const nextButton = scene.add.text(0, y, '>', style).setOrigin(0.5).setPadding(8).setInteractive();
+
+  const row = { index: options.index };
+  row.refresh = () => {
+    text.setText(options.label(row.index));
+    text.setColor(scene.optionRows[scene.focusedRow] === row ? theme().accent : theme().text);
+    prevButton.x = text.x - text.displayWidth / 2 - 20;
+    nextButton.x = text.x + text.displayWidth / 2 + 20;
+  };
+  row.step = (dir) => {
+    row.index = Phaser.Math.Wrap(row.index + dir, 0, options.count);
+    options.onChange(row.index);
+    row.refresh();
+  };
+
+  prevButton.on('pointerdown', () => row.step(-1));
+  nextButton.on('pointerdown', () => row.step(1));
+  scene.optionRows.push(row);
+  options.onChange(row.index);
+  row.refresh();
+  return row;
+}
+
+// Direction names and the turns they make
+const TURNS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+
+// Gamepad buttons (standard layout) and how far a stick must be pushed
+const PAD_BUTTONS = { a: 0, y: 3, start: 9 };
+const PAD_DEADZONE = 0.5;
+
+/**
+ * Everything that steers a snake: the keys (see CONTROL_SCHEMES and
+ * steeringKeys()), gamepads (see padTurn()), swipes and the on-screen
+ * D-pad (see updateDpad()). Swipes and D-pad taps are kept in
+ * scene.touchTurns: [{ direction, source, x }], x being where the touch
+ * started (which half of the screen, in versus).
+ */
+function setupControls(scene) {
+  scene.cursors = scene.input.keyboard.createCursorKeys();
+  scene.wasd = scene.input.keyboard.addKeys({ up: 'W', left: 'A', down: 'S', right: 'D' });
+  scene.customKeys = scene.input.keyboard.addKeys(prefs.customKeys);
+  scene.padDirections = [];
+  scene.padButtons = {};
+  scene.dpad = null;
+  setupSwipeControls(scene);
+}
+
+/**
+ * A swipe turns the snake as soon as the finger has moved far enough,
+ * and going on in another direction without lifting it turns it again
+ */
+function setupSwipeControls(scene) {
+  scene.touchTurns = [];
+  let start = null; // where the swipe (or its last turn) started
+
+  scene.input.on('pointerdown', (pointer, over) => {
+    const onDpad = over.some(object => object.getData('dpad'));
+    start = onDpad ? null : { x: pointer.x, y: pointer.y };
+  });
+  scene.input.on('pointermove', (pointer) => {
+    if (!start || !pointer.isDown) {
+      return;
+    }
+    const deltaX = pointer.x - start.x;
+    const deltaY = pointer.y - start.y;
+    const swipeMinDistance = SWIPE_DISTANCES[prefs.swipe];
+    let direction = null;
+    if (Math.abs(deltaX) > Math.abs(deltaY)) {
+      if (Math.abs(deltaX) > swipeMinDistance) {
+        direction = (deltaX > 0) ? 'right' : 'left';
       }
-      this.pendingDirection = null;
-    }
-
-    // Distance to move this frame:
-    const distanceToMove = ((this.speed + this.segments.length) * delta) / 1000;
-
-    // 1. Move head
-    const head = this.segments[0];
-    head.prevX = head.x;
-    head.prevY = head.y;
-    head.x += this.direction.x * distanceToMove;
-    head.y += this.direction.y * distanceToMove;
-
-    // 2. For each subsequent segment, move it towards
-    //    the "prevX, prevY" of the segment in front of it.
-    for (let i = 1; i < this.segments.length; i++) {
-      let seg = this.segments[i];
-      let leader = this.segments[i - 1]; // the segment in front
-      let dx = leader.prevX - seg.x;
-      let dy = leader.prevY - seg.y;
-      let dist = Math.sqrt(dx * dx + dy * dy);
-
-      // If this gap is > SEGMENT_SIZE, we move the segment forward
-      // some portion of 'distanceToMove' to keep them from spacing out too far.
-      if (dist > SEGMENT_SIZE) {
-        // Only move up to (dist - SEGMENT_SIZE) so segments
-        // remain roughly SEGMENT_SIZE apart
-        let moveStep = Math.min(distanceToMove, dist - SEGMENT_SIZE);
-        let angle = Math.atan2(dy, dx);
-
-        seg.prevX = seg.x;
-        seg.prevY = seg.y;
-        seg.x += Math.cos(angle) * moveStep;
-        seg.y += Math.sin(angle) * moveStep;
+    } else if (Math.abs(deltaY) > swipeMinDistance) {
+      direction = (deltaY > 0) ? 'down' : 'up';
+    }
+    if (direction) {
+      scene.touchTurns.push({ direction, source: 'swipe', x: start.x });
+      start = { x: pointer.x, y: pointer.y };
+    }
+  });
+  scene.input.on('pointerup', () => {
+    start = null;
+  });
+}
+
+/**
+ * The on-screen D-pad in the bottom-right corner, if show: tapping an
+ * arrow turns the snake. Calling it again draws it anew (e.g. in new colors).
+ */
+function updateDpad(scene, show) {
+  if (scene.dpad) {
+    scene.dpad.destroy();
+    scene.dpad = null;
+  }
+  if (!show) {
+    return;
+  }
+  const size = Math.round(48 * TEXT_SIZES[prefs.textSize]);
+  const centerX = scene.scale.width - size * 1.5 - 10;
+  const centerY = scene.scale.height - size * 1.5 - 40;
+  const arrows = { up: '▲', left: '◀', down: '▼', right: '▶' };
+  const parts = [];
+  Object.entries(arrows).forEach(([direction, arrow]) => {
+    const [dx, dy] = TURNS[direction];
+    const x = centerX + dx * size;
+    const y = centerY + dy * size;
+    const button = scene.add.rectangle(x, y, size - 4, size - 4, themeColor(theme().button), 0.6)
+      .setInteractive().setData('dpad', true);
+    button.on('pointerdown', () => scene.touchTurns.push({ direction, source: 'dpad', x }));
+    parts.push(button, scene.add.text(x, y, arrow, { fontSize: px(20), fill: theme().text }).setOrigin(0.5));
+  });
+  scene.dpad = scene.add.container(0, 0, parts).setDepth(5);
+}
+
+// The key sets that steer, see CONTROL_SCHEMES
+function steeringKeys(scene) {
+  return {
+    arrows: [scene.cursors],
+    wasd: [scene.wasd],
+    both: [scene.cursors, scene.wasd],
+    custom: [scene.customKeys],
+  }[prefs.controls];
+}
+
+// The directions whose key (of one set) went down since the last frame
+function pressedDirections(keys) {
+  return Object.keys(TURNS).filter(direction => Phaser.Input.Keyboard.JustDown(keys[direction]));
+}
+
+// A connected gamepad, or null (the plugin is missing if the config has no input.gamepad)
+function getPad(scene, index) {
+  const pad = scene.input.gamepad && scene.input.gamepad.getPad(index);
+  return pad && pad.connected ? pad : null;
+}
+
+/**
+ * The direction gamepad number index was pushed in (d-pad or left
+ * stick) since the last frame, or null. Holding it makes one turn.
+ */
+function padTurn(scene, index) {
+  const pad = getPad(scene, index);
+  let direction = null;
+  if (pad) {
+    const stick = pad.leftStick;
+    direction = Object.keys(TURNS).find(name => pad[name]) || null;
+    if (!direction && Math.max(Math.abs(stick.x), Math.abs(stick.y)) > PAD_DEADZONE) {
+      if (Math.abs(stick.x) > Math.abs(stick.y)) {
+        direction = stick.x > 0 ? 'right' : 'left';
       } else {
-        // Even if dist <= SEGMENT_SIZE, we still store the current position
-        seg.prevX = seg.x;
-        seg.prevY = seg.y;
+        direction = stick.y > 0 ? 'down' : 'up';
       }
     }
   }
+  const changed = direction !== (scene.padDirections[index] || null);
+  scene.padDirections[index] = direction;
+  return changed ? direction : null;
+}
 
-  // Attempt to set a new direction (e.g. from arrow keys)
-  setDirection(dx, dy) {
-    this.pendingDirection = { x: dx, y: dy };
-  }
+// Whether a button (see PAD_BUTTONS) of gamepad number index went down since the last frame
+function padButtonPressed(scene, index, button) {
+  const pad = getPad(scene, index);
+  const down = Boolean(pad && pad.isButtonDown(button));
+  const key = `${index}:${button}`;
+  const pressed = down && !scene.padButtons[key];
+  scene.padButtons[key] = down;
+  return pressed;
+}
 
-  // A quick check if the new direction is a direct 180° reversal
-  isOppositeDirection(newDir) {
-    return (
-      (this.direction.x === 1 && newDir.x === -1) ||
-      (this.direction.x === -1 && newDir.x === 1) ||
-      (this.direction.y === 1 && newDir.y === -1) ||
-      (this.direction.y === -1 && newDir.y === 1)
-    );
-  }
+function focusOptionRow(scene, dir) {
+  scene.focusedRow = Phaser.Math.Wrap(scene.focusedRow + dir, 0, scene.optionRows.length);
+  scene.optionRows.forEach(row => row.refresh());
+}
 
-  // Add one segment at the tail's position
-  grow() {
-    let tail = this.segments[this.segments.length - 1];
-    let newSegment = this.scene.add.rectangle(
-      tail.x,
-      tail.y,
-      SEGMENT_SIZE,
-      SEGMENT_SIZE,
-      0x00ff00
-    ).setOrigin(0.5);
+/**
+ * SnakeView:
+ * Draws the segments of a core.js snake as Phaser rectangles.
+ */
+class SnakeView {
+  // colors: one of SNAKE_COLORS; container: where to add the rectangles, if not the scene
+  constructor(scene, colors = 'snake', container = null) {
+    this.scene = scene;
+    this.colors = colors;
+    this.container = container;
+    this.rects = [];
+  }
 
-    // Initialize prevX/Y to match tail
-    newSegment.prevX = tail.x;
-    newSegment.prevY = tail.y;
-    this.segments.push(newSegment);
+  // Head slightly different
+  colorOf(index) {
+    return theme()[index === 0 ? `${this.colors}Head` : `${this.colors}Body`];
   }
 
-  // Remove one segment from the tail (if we have any)
-  shrink() {
-    if (this.segments.length > 0) {
-      let seg = this.segments.pop();
-      seg.destroy();
+  // Called after every update; adds/removes rectangles to match the snake
+  sync(snake) {
+    while (this.rects.length < snake.segments.length) {
+      const rect = this.scene.add.rectangle(0, 0, SEGMENT_SIZE, SEGMENT_SIZE, this.colorOf(this.rects.length));
+      this.rects.push(rect.setOrigin(0.5));
+      if (this.container) {
+        this.container.add(rect);
+      }
+    }
+    while (this.rects.length > snake.segments.length) {
+      this.rects.pop().destroy();
     }
+    snake.segments.forEach((seg, i) => {
+      this.rects[i].setPosition(seg.x, seg.y);
+    });
   }
 
-  // If you collide with yourself, remove from collision point to tail
-  cutTailFrom(index) {
-    while (this.segments.length > index) {
-      let seg = this.segments.pop();
-      seg.destroy();
-    }
+  // After the theme changed
+  recolor() {
+    this.rects.forEach((rect, i) => rect.setFillStyle(this.colorOf(i)));
   }
 }
 
+/**
+ * A letter tile: { letterRect, letterText } at the letter's place
+ */
+function addLetterTile(scene, letterObj) {
+  const letterRect = scene.add.rectangle(letterObj.x, letterObj.y, SEGMENT_SIZE, SEGMENT_SIZE, theme().tile).setOrigin(0);
+  const letterText = scene.add.text(
+    letterObj.x + SEGMENT_SIZE/2,
+    letterObj.y + SEGMENT_SIZE/2,
+    tileLabel(letterObj.letter),
+    {
+      fontSize: '18px',
+      color: theme().tileText,
+      fontFamily: 'sans-serif'
+    }
+  ).setOrigin(0.5);
+  return { letterRect, letterText };
+}
 
 /**
  * BootScene:
@@ -259,14 +546,68 @@ class BootScene extends Phaser.Scene {
   
     // If you have a background image or other assets:
     // this.load.image('background', 'background.png');
+
+    // Word lists: first the index, then every file it names
+    if (!wordLists) {
+      this.wordListLoadErrors = [];
+      this.load.on('loaderror', (file) => {
+        this.wordListLoadErrors.push(`Could not load ${file.url}`);
+      });
+      this.load.json('wordListIndex', WORD_LIST_INDEX);
+      this.load.once('filecomplete-json-wordListIndex', (key, type, index) => {
+        if (!Array.isArray(index)) {
+          return;
+        }
+        index.forEach(info => {
+          this.load.text(`wordList-${info.id}`, WORD_LIST_DIR + info.file);
+        });
+      });
+    }
+  }
+
+  /**
+   * Parses the loaded word list files into wordLists.
+   * Problems are kept on each list (and logged) instead of thrown,
+   * so one broken file does not stop the game.
+   */
+  buildWordLists() {
+    wordLists = [];
+    const index = this.cache.json.get('wordListIndex');
+    if (!Array.isArray(index)) {
+      console.error('Word list index is missing or not an array:', WORD_LIST_INDEX);
+      return;
+    }
+    index.forEach(info => {
+      const text = this.cache.text.get(`wordList-${info.id}`);
+      if (text === undefined || text === null) {
+        return; // reported by the loaderror handler
+      }
+      const format = getWordListFormat(info.file);
+      const { words, errors } = parseWordList(text, format);
+      errors.forEach(error => console.warn(`${info.file}: ${error}`));
+      if (words.length === 0) {
+        this.wordListLoadErrors.push(`${info.file} has no usable words`);
+        return;
+      }
+      wordLists.push({
+        id: info.id,
+        name: info.name || info.id,
+        primaryLang: info.primaryLang || '',
+        newLang: info.newLang || '',
+        words,
+        errors,
+      });
+    });
+    this.wordListLoadErrors.forEach(error => console.error(error));
   }
   
   create() {
-    this.cameras.main.setBackgroundColor('#000000');
+    this.cameras.main.setBackgroundColor(theme().background);
 
+    this.sound.mute = prefs.muted;
     this.titleMusic = this.sound.add('titleMusic', {
       loop: true,
-      volume: 0.8,
+      volume: prefs.musicVolume,
     });
     this.titleMusic.play();
   
@@ -274,523 +615,2555 @@ class BootScene extends Phaser.Scene {
     this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
       this.titleMusic.stop();
     });
-    
-    let stored = localStorage.getItem('wordSnakeLeaderboard');
-    let leaderboard = stored ? JSON.parse(stored) : [];
+
+    // A new version that is ready gets a reload button (see updates.js)
+    this.updateButton = null;
+    const stopWatching = onUpdateReady(() => this.showUpdatePrompt());
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, stopWatching);
+    checkForUpdate(APP_VERSION);
     
     const titleText = this.add.text(
       this.scale.width / 2,
       this.scale.height / 2 - 150,
       'Word Snake',
-      { fontSize: '48px', fill: '#ffffff' }
+      { fontSize: px(48), fill: theme().text }
     ).setOrigin(0.5);
 
-    let leaderboardTextString = 'Longest Snakes:\n';
-    leaderboard.forEach((score, i) => {
-      leaderboardTextString += `${i+1}. ${score}\n`;
-    });
-
-    // Display the leaderboard lines
-    const leaderboardText = this.add.text(
+    // The leaderboard of the chosen mode, see showLeaderboard()
+    this.leaderboardText = this.add.text(
       this.scale.width / 2,
       this.scale.height / 2 - 30,
-      leaderboardTextString,
-      { fontSize: '20px', fill: '#ffffff', align: 'center' }
+      '',
+      { fontSize: px(20), fill: theme().text, align: 'center' }
     ).setOrigin(0.5);
+    this.showLeaderboard(getModeSetting());
     
     const instructionText = this.add.text(
       this.scale.width / 2,
       this.scale.height / 2 + 70,
       'Tap or Press\nSPACE to Play',
-      { fontSize: '24px', fill: '#ffffff' }
+      { fontSize: px(24), fill: theme().text }
     ).setOrigin(0.5);
 
     const versionText = this.add.text(
-      this.scale.width / 2,
-      this.scale.height / 2 + 150,
+      10,
+      10,
       `Version: ${APP_VERSION}`,
-      { fontSize: '18px', fill: '#ffffff' }
-    ).setOrigin(0.5);
+      { fontSize: px(14), fill: theme().text }
+    );
+
+    // Shown while there is no connection (see offline.js)
+    const offlineText = this.add.text(
+      10,
+      versionText.y + versionText.displayHeight + 4,
+      '● Offline: playing from saved files',
+      { fontSize: px(14), fill: theme().warning }
+    ).setVisible(!isOnline());
+    const stopWatchingConnection = onConnectionChange(online => offlineText.setVisible(!online));
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, stopWatchingConnection);
+
+    // Who is playing; tap to switch, add or remove profiles
+    const profileButton = this.add.text(
+      this.scale.width - 10,
+      10,
+      `Player: ${getCurrentProfile().name}`,
+      { fontSize: px(18), fill: theme().text, backgroundColor: theme().button }
+    ).setOrigin(1, 0).setPadding(8).setInteractive();
+    profileButton.on('pointerdown', () => this.scene.start('ProfilesScene'));
+
+    if (!wordLists) {
+      this.buildWordLists();
+      // Some browsers only list their voices after a while
+      loadVoices();
+    }
+    const menuButtons = [
+      { label: 'Edit word lists', onClick: () => this.scene.start('WordListEditorScene') },
+      { label: 'Statistics', onClick: () => this.scene.start('StatsScene') },
+      { label: 'Leaderboards', onClick: () => this.scene.start('LeaderboardScene') },
+      { label: 'Replays', onClick: () => this.scene.start('ReplaysScene') },
+      { label: 'Settings', onClick: () => this.scene.start('SettingsScene') },
+    ];
+    if (wordLists.length > 0) {
+      // The daily challenge is played on the first built-in list
+      const best = getDailyBest(getDailyDay());
+      const label = best === null ? 'Daily challenge' : `Daily challenge (best ${best})`;
+      menuButtons.unshift({ label, onClick: () => this.startDailyChallenge() });
+    }
+    this.createMenuButtons(menuButtons);
+
+    this.playableLists = getPlayableWordLists();
+    if (this.playableLists.length === 0) {
+      instructionText.setText('No word lists\ncould be loaded');
+      return;
+    }
+    this.createWordListSelector(this.scale.height / 2 + 125);
 
     // Start on SPACE
     this.input.keyboard.once('keydown-SPACE', () => {
-      this.scene.start('GameScene', { level: 1 });
+      this.startGame();
     });
-    // Or start on pointerdown
-    this.input.once('pointerdown', () => {
-      this.scene.start('GameScene', { level: 1 });
+    // Or start on pointerdown (unless a button was tapped)
+    this.input.on('pointerdown', (pointer, currentlyOver) => {
+      if (currentlyOver.length === 0) {
+        this.startGame();
+      }
     });
   }
-}
 
+  showUpdatePrompt() {
+    if (this.updateButton) {
+      return;
+    }
+    this.updateButton = this.add.text(
+      this.scale.width / 2,
+      10,
+      'New version available, reload',
+      { fontSize: px(18), fill: theme().accent, backgroundColor: theme().button }
+    ).setOrigin(0.5, 0).setPadding(8).setInteractive();
+    this.updateButton.on('pointerdown', () => {
+      this.updateButton.setText('Reloading…');
+      applyUpdate();
+    });
+  }
 
-/**
- * GameScene:
- * The main, smooth-moving snake + word-learning gameplay.
- */
-class GameScene extends Phaser.Scene {
-  constructor() {
-    super('GameScene');
-
-    // Word logic
-    this.currentWord = null;
-    this.spelledLetters = '';
-    this.level = 1;
+  showLeaderboard(mode) {
+    if (mode === 'versus') {
+      this.leaderboardText.setText(`Two players, one keyboard:\narrows against W A S D\nfirst to ${VERSUS_WORDS} words wins`);
+      return;
+    }
+    if (mode === 'online') {
+      this.leaderboardText.setText(`Up to four players online:\ncreate a room or join one with its code\nfirst to ${VERSUS_WORDS} words wins`);
+      return;
+    }
+    const heading = mode === 'timeAttack' ? 'Most words' : 'Longest snakes';
+    let leaderboardTextString = `${heading} (${MODE_NAMES[mode]}):\n`;
+    queryScores(loadScores(), { mode }).forEach((entry, i) => {
+      const name = entry.name ? `  ${entry.name}` : '';
+      leaderboardTextString += `${i+1}. ${entry.score}${name}\n`;
+    });
+    this.leaderboardText.setText(leaderboardTextString);
+  }
 
-    // Snake
-    this.snake = null;
+  startGame() {
+    const wordList = this.playableLists[this.wordListIndex];
+    if (this.mode === 'online') {
+      this.scene.start('OnlineLobbyScene', {
+        wordList,
+        settings: { direction: this.direction, spelling: this.spelling, movement: this.movement },
+      });
+      return;
+    }
+    const versus = this.mode === 'versus';
+    this.scene.start(versus ? 'VersusScene' : 'GameScene', {
+      level: 1,
+      wordList,
+      direction: this.direction,
+      spelling: this.spelling,
+      movement: this.movement,
+      mode: versus ? 'classic' : this.mode,
+      seed: Date.now(),
+    });
+  }
 
-    // Letters that appear on field
-    this.lettersOnField = [];
+  /**
+   * Today's challenge: same seed, list and rules for everyone (see daily.js)
+   */
+  startDailyChallenge() {
+    const day = getDailyDay();
+    this.scene.start('GameScene', {
+      level: 1,
+      wordList: wordLists[0],
+      direction: DAILY_RULES.direction,
+      spelling: DAILY_RULES.spelling,
+      movement: DAILY_RULES.movement,
+      speedFactor: DAILY_RULES.speedFactor,
+      mode: DAILY_RULES.mode,
+      seed: getDailySeed(day),
+      daily: day,
+    });
   }
 
-  preload() {
-    this.load.audio('gameMusic', 'game_music.mp3');
+  /**
+   * A row of buttons along the bottom of the title screen
+   */
+  createMenuButtons(buttons) {
+    createButtonRow(this, this.scale.height - 30, buttons);
   }
-  
-  create(data) {
 
-    this.gameMusic = this.sound.add('gameMusic', {
-      loop: true,
-      volume: 0.8,
+  /**
+   * "< List name >" selector for the word list to play and, below it,
+   * the direction to translate in, how strictly to spell, how the
+   * snake moves and the game mode.
+   * The choices are remembered.
+   */
+  createWordListSelector(y) {
+    const savedId = storage.getItem('wordSnakeWordList');
+    const lists = this.playableLists;
+    this.wordListIndex = Math.max(0, lists.findIndex(list => list.id === savedId));
+    this.direction = prefs.direction;
+    this.spelling = prefs.spelling;
+    this.movement = getMovementSetting();
+    this.mode = getModeSetting();
+
+    const warningText = this.add.text(
+      this.scale.width / 2,
+      y + 150,
+      '',
+      { fontSize: px(14), fill: theme().warning, align: 'center' }
+    ).setOrigin(0.5, 0);
+
+    let directionRow = null;
+    addOptionRow(this, y, {
+      count: lists.length,
+      index: this.wordListIndex,
+      label: (i) => `Word list: ${lists[i].name}`,
+      onChange: (i) => {
+        this.wordListIndex = i;
+        const list = lists[i];
+        // Tell about rejected rows and files that failed to load
+        const warnings = [...this.wordListLoadErrors];
+        if (list.errors.length > 0) {
+          warnings.unshift(`${list.errors.length} malformed row(s) skipped: ${list.errors[0]}`);
+        }
+        warningText.setText(warnings.join('\n'));
+        storage.setItem('wordSnakeWordList', list.id);
+        if (directionRow) {
+          directionRow.refresh(); // the language names may have changed
+        }
+      },
     });
-    this.gameMusic.play();
-  
-    // If you want to stop it automatically when the scene shuts down:
-    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
-      this.gameMusic.stop();
+
+    directionRow = addOptionRow(this, y + 30, {
+      count: DIRECTIONS.length,
+      index: DIRECTIONS.indexOf(this.direction),
+      label: (i) => `Direction: ${describeDirection(DIRECTIONS[i], lists[this.wordListIndex])}`,
+      onChange: (i) => {
+        this.direction = DIRECTIONS[i];
+        saveSettings({ ...prefs, direction: this.direction });
+      },
     });
-    
-    // Define the room (grey area) where the snake moves
-    this.room = {
-      x: ROOM_MARGIN,
-      y: ROOM_MARGIN + 40,
-      width: this.scale.width - ROOM_MARGIN * 2,
-      height: this.scale.height - ROOM_MARGIN * 2 - 40
-    };
-  
-    // Draw grey background in that area
-    const bgGraphics = this.add.graphics();
-    bgGraphics.fillStyle(0x808080, 1); // grey
-    bgGraphics.fillRect(this.room.x, this.room.y, this.room.width, this.room.height);
 
-    // Add a pause button on the top-left, for example
-    this.paused = false; // track whether the game is paused
-    this.pauseButton = this.add.text(
-      10, 
-      10, 
-      'Pause', 
-      { fontSize: '20px', fill: '#ffffff', backgroundColor: '#000000' }
-    ).setPadding(6).setInteractive();
-  
-    // When clicked, toggle paused state
-    this.pauseButton.on('pointerdown', () => {
-      this.togglePause();
+    // The presets, and the player's own mix of flags if it is none of them
+    const spellingLabels = {
+      relaxed: 'letters only, any case',
+      strict: 'every character',
+      custom: 'your own (see Settings)',
+    };
+    const customSpelling = spellingPresetOf(this.spelling) ? null : this.spelling;
+    const spellingModes = customSpelling ? [...SPELLING_MODES, 'custom'] : SPELLING_MODES;
+    addOptionRow(this, y + 60, {
+      count: spellingModes.length,
+      index: customSpelling ? spellingModes.length - 1 : SPELLING_MODES.indexOf(spellingPresetOf(this.spelling)),
+      label: (i) => `Spelling: ${spellingLabels[spellingModes[i]]}`,
+      onChange: (i) => {
+        this.spelling = spellingModes[i] === 'custom' ? customSpelling : spellingOptions(spellingModes[i]);
+        saveSettings({ ...prefs, spelling: this.spelling });
+      },
     });
-    
-    // Create snake in the center of the room
-    let centerX = this.room.x + this.room.width / 2;
-    let centerY = this.room.y + this.room.height / 2;
-    centerX = Phaser.Math.Snap.Floor(centerX, SEGMENT_SIZE);
-    centerY = Phaser.Math.Snap.Floor(centerY, SEGMENT_SIZE);
-    this.snake = new Snake(this, centerX, centerY);
-
-    this.currentLength = this.snake.segments.length;
-    this.bestThisGame = this.currentLength;
-  
-    this.scoreText = this.add.text(
-      this.scale.width - 10,
-      10,
-      `${this.currentLength} (${this.bestThisGame})`, 
-      { fontSize: '20px', fill: '#ffffff' }
-    ).setOrigin(1, 0);
-    
-    // Set up keyboard
-    this.cursors = this.input.keyboard.createCursorKeys();
-    this.setupTouchControls();
 
-    this.levelText = this.add.text(
-      this.scale.width / 2,
-      10,
-      `Level: ${this.level}`,
-      { fontSize: '20px', fill: '#ffffff' }
-    ).setOrigin(0.5, 0);
+    const movementLabels = {
+      smooth: 'smooth',
+      classic: 'classic (grid)',
+    };
+    addOptionRow(this, y + 90, {
+      count: MOVEMENTS.length,
+      index: MOVEMENTS.indexOf(this.movement),
+      label: (i) => `Movement: ${movementLabels[MOVEMENTS[i]]}`,
+      onChange: (i) => {
+        this.movement = MOVEMENTS[i];
+        storage.setItem('wordSnakeMovement', this.movement);
+      },
+    });
 
-    let textheight = this.levelText.displayHeight;
-    
-    // UI text
-    this.primaryWordText = this.add.text(this.scale.width/2, textheight+5, '', { 
-      fontSize: '20px', 
-      fill: '#ffffff' 
-    }).setOrigin(0.5, 0);;
-    this.spelledWordText = this.add.text(this.scale.width/2, this.scale.height-textheight-5, '', {
-      fontSize: '20px',
-      fill: '#ffffff'
-    }).setOrigin(0.5, 0); 
- 
-    // We'll track the letters in this array
-    this.lettersOnField = [];
-  
-    // Start first word
-    this.loadNewWord();
-  
-    // Optional restart key
-    this.restartKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
-  
-    // For controlling snake movement timing
-    this.lastMoveTime = 0;
+    const modeLabels = {
+      classic: 'classic',
+      timeAttack: 'time attack (most words in 2 minutes)',
+      zen: 'zen (no walls, no shrinking)',
+      survival: 'survival (the snake keeps shrinking)',
+      versus: 'two players',
+      online: 'online (create or join a room)',
+    };
+    addOptionRow(this, y + 120, {
+      count: PLAY_MODES.length,
+      index: PLAY_MODES.indexOf(this.mode),
+      label: (i) => `Mode: ${modeLabels[PLAY_MODES[i]]}`,
+      onChange: (i) => {
+        this.mode = PLAY_MODES[i];
+        storage.setItem('wordSnakeMode', this.mode);
+        this.showLeaderboard(this.mode);
+      },
+    });
   }
+}
 
-  togglePause() {
-    this.paused = !this.paused;
-    if (this.paused) {
-      // Show some overlay text, or change the pause button label
-      this.pauseButton.setText('Resume');
-      // You might also fade background or display "Paused" in center:
-      this.pausedText = this.add.text(
-        this.scale.width / 2,
-        this.scale.height / 2,
-        'PAUSED',
-        { fontSize: '48px', fill: '#ff0000' }
-      ).setOrigin(0.5);
-    } else {
-      // Removing or hiding any "Paused" overlay
-      this.pauseButton.setText('Pause');
-      if (this.pausedText) {
-        this.pausedText.destroy();
-        this.pausedText = null;
-      }
-    }
+
+/**
+ * WordListEditorScene:
+ * Shows the word list editor (a DOM overlay, see wordlisteditor.js)
+ * on top of the game and returns to the title screen when it closes.
+ */
+class WordListEditorScene extends Phaser.Scene {
+  constructor() {
+    super('WordListEditorScene');
   }
-  
-  update(time, delta) {  
-    // R to force game over for debugging
-    if (Phaser.Input.Keyboard.JustDown(this.restartKey)) {
-      this.gameOver();
-      return;
-    }
 
-    if (this.paused) {
-      // If paused, skip updating the snake or checking collisions.
-      // Optionally, still allow certain input if you want.
-      return;
-    }
-    
-    // Handle input each frame
-    this.handleInput();
+  create() {
+    this.cameras.main.setBackgroundColor(theme().background);
 
-    // Smoothly update the snake
-    this.snake.update(delta* Math.min(this.scale.width,this.scale.height)/100);
+    // Let keys like SPACE and the arrows reach the text fields
+    this.input.keyboard.disableGlobalCapture();
 
-    // After we move, check for collisions:
-    this.handleRoomBounds();
-    this.handleSelfCollision();
-    this.handleLetterCollisions();
-  }
-  
-  updateScoreDisplay() {
-    this.currentLength = this.snake.segments.length;
-    if (this.currentLength > this.bestThisGame) {
-      this.bestThisGame = this.currentLength;
-    }
-    this.scoreText.setText(`${this.currentLength} (${this.bestThisGame})`);
-  }
-  
-  handleInput() {
-    // Keyboard input => set direction
-    if (Phaser.Input.Keyboard.JustDown(this.cursors.left)) {
-      this.snake.setDirection(-1, 0);
-    } else if (Phaser.Input.Keyboard.JustDown(this.cursors.right)) {
-      this.snake.setDirection(1, 0);
-    } else if (Phaser.Input.Keyboard.JustDown(this.cursors.up)) {
-      this.snake.setDirection(0, -1);
-    } else if (Phaser.Input.Keyboard.JustDown(this.cursors.down)) {
-      this.snake.setDirection(0, 1);
-    }
-
-    // Touch swipe => set direction
-    if (this.swipeDirection) {
-      switch (this.swipeDirection) {
-        case 'left':  this.snake.setDirection(-1, 0); break;
-        case 'right': this.snake.setDirection(1, 0);  break;
-        case 'up':    this.snake.setDirection(0, -1); break;
-        case 'down':  this.snake.setDirection(0, 1);  break;
-      }
-      this.swipeDirection = null;
-    }
-  }
+    this.editor = new WordListEditor(wordLists, () => {
+      this.scene.start('BootScene');
+    });
+    this.editor.open();
 
-  handleRoomBounds() {
-    // If head goes out of the "room," game over.
-    const head = this.snake.head;
-    if (
-      head.x < this.room.x ||
-      head.x > this.room.x + this.room.width ||
-      head.y < this.room.y ||
-      head.y > this.room.y + this.room.height
-    ) {
-      this.gameOver();
-    }
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.editor.root.remove();
+      this.input.keyboard.enableGlobalCapture();
+    });
   }
+}
 
-  handleSelfCollision() {
-    // If head intersects any body part, cut the tail from there.
-    const head = this.snake.head;
-    for (let i = 2; i < this.snake.segments.length; i++) {
-      let seg = this.snake.segments[i];
-      // bounding-box check:
-      if (Phaser.Geom.Intersects.RectangleToRectangle(head.getBounds(), seg.getBounds())) {
-        // cut tail from i
-        this.snake.cutTailFrom(i);
-        if (this.snake.segments.length === 0) {
-          this.gameOver();
+
+/**
+ * StatsScene:
+ * Progress dashboard: words learned, accuracy per day, the hardest
+ * words and how well every practised word is known.
+ */
+class StatsScene extends Phaser.Scene {
+  constructor() {
+    super('StatsScene');
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor(theme().background);
+    const stats = loadStats();
+    const scheduler = loadScheduler();
+    const width = this.scale.width;
+    const small = { fontSize: px(16), fill: theme().text };
+    let y = 20;
+
+    this.add.text(width / 2, y, 'Statistics', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+    y += 50;
+
+    // Summary
+    const totals = stats.totals();
+    const accuracy = totals.accuracy === null ? '-' : `${Math.round(totals.accuracy * 100)}%`;
+    this.add.text(
+      width / 2,
+      y,
+      `Words learned: ${scheduler.countLearned()}   Practised: ${totals.wordsPractised}   ` +
+      `Spelled: ${totals.wordsCompleted}   Accuracy: ${accuracy}`,
+      small
+    ).setOrigin(0.5, 0);
+    y += 35;
+
+    y = this.drawAccuracyChart(stats.dailyAccuracy(14), y);
+
+    // Hardest words, with the letters most often taken by mistake
+    this.add.text(20, y, 'Hardest words:', small);
+    y += 22;
+    const hardest = stats.hardestWords(5);
+    if (hardest.length === 0) {
+      this.add.text(40, y, 'None yet', small);
+      y += 20;
+    }
+    hardest.forEach(record => {
+      const mistakes = WordStats.commonMistakes(record).map(l => `'${l}'`).join(', ');
+      const percent = Math.round(WordStats.accuracy(record) * 100);
+      this.add.text(40, y, `${record.primary} → ${record.newLang}  ${percent}% right (often took ${mistakes})`, small);
+      y += 20;
+    });
+    y += 15;
+
+    this.createMasteryList(stats, scheduler, y);
+
+    this.add.text(width / 2, this.scale.height - 30, 'Tap or press SPACE to go back', small).setOrigin(0.5);
+    this.input.keyboard.once('keydown-SPACE', () => this.scene.start('BootScene'));
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('BootScene'));
+    this.input.once('pointerdown', () => this.scene.start('BootScene'));
+  }
+
+  /**
+   * Bar chart of the accuracy on each of the last days; empty days have no bar.
+   * Returns the y below the chart.
+   */
+  drawAccuracyChart(days, y) {
+    const chartHeight = 80;
+    const left = 20;
+    const barWidth = Math.min(30, (this.scale.width - 2 * left) / days.length - 4);
+    const small = { fontSize: px(12), fill: theme().text };
+
+    this.add.text(left, y, 'Accuracy, last 14 days:', { fontSize: px(16), fill: theme().text });
+    y += 22;
+
+    const graphics = this.add.graphics();
+    graphics.lineStyle(1, theme().room);
+    graphics.lineBetween(left, y + chartHeight, left + days.length * (barWidth + 4), y + chartHeight);
+    days.forEach((day, i) => {
+      const x = left + i * (barWidth + 4);
+      if (day.accuracy !== null) {
+        const barHeight = Math.max(1, day.accuracy * chartHeight);
+        graphics.fillStyle(theme().snakeHead, 1);
+        graphics.fillRect(x, y + chartHeight - barHeight, barWidth, barHeight);
+        this.add.text(x + barWidth / 2, y + chartHeight - barHeight - 2, `${Math.round(day.accuracy * 100)}`, small)
+          .setOrigin(0.5, 1);
+      }
+      // Day of month under each bar
+      this.add.text(x + barWidth / 2, y + chartHeight + 2, day.day.slice(8), small).setOrigin(0.5, 0);
+    });
+    return y + chartHeight + 30;
+  }
+
+  /**
+   * Every practised word with its mastery as stars, least known first.
+   * Scrolls with the arrow keys or the mouse wheel when it doesn't fit.
+   */
+  createMasteryList(stats, scheduler, top) {
+    const lineHeight = 20;
+    const bottom = this.scale.height - 50;
+    const visibleLines = Math.max(1, Math.floor((bottom - top - 22) / lineHeight));
+    const small = { fontSize: px(16), fill: theme().text };
+
+    const records = Object.entries(stats.words)
+      .map(([key, record]) => ({ ...record, mastery: scheduler.masteryOfKey(key) }))
+      .sort((a, b) => a.mastery - b.mastery);
+    const lines = records.map(record => {
+      const mastery = record.mastery;
+      const stars = '★'.repeat(mastery) + '☆'.repeat(MAX_BOX - mastery);
+      const hints = record.hints ? `  (${record.hints} hints)` : '';
+      return `${stars}  ${record.primary} → ${record.newLang}${hints}`;
+    });
+
+    this.add.text(20, top, `Mastery (${records.length} words):`, small);
+    const listText = this.add.text(40, top + 22, '', small);
+    let offset = 0;
+    const refresh = () => {
+      listText.setText(lines.slice(offset, offset + visibleLines).join('\n'));
+    };
+    const scroll = (amount) => {
+      offset = Phaser.Math.Clamp(offset + amount, 0, Math.max(0, lines.length - visibleLines));
+      refresh();
+    };
+    this.input.keyboard.on('keydown-UP', () => scroll(-1));
+    this.input.keyboard.on('keydown-DOWN', () => scroll(1));
+    this.input.on('wheel', (pointer, over, dx, dy) => scroll(Math.sign(dy)));
+    refresh();
+  }
+}
+
+
+/**
+ * LeaderboardScene:
+ * The best scores (see leaderboard.js), by mode and word list,
+ * sorted by any of SORT_FIELDS.
+ */
+class LeaderboardScene extends Phaser.Scene {
+  constructor() {
+    super('LeaderboardScene');
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.scores = loadScores();
+    this.filters = { mode: null, wordListId: null, sortBy: 'score' };
+    this.tableText = null; // made after the rows, which filter right away
+    const width = this.scale.width;
+
+    this.add.text(width / 2, 20, 'Leaderboards', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+
+    const modes = [null, ...MODES];
+    addOptionRow(this, 90, {
+      count: modes.length,
+      index: 0,
+      label: (i) => `Mode: ${modes[i] ? MODE_NAMES[modes[i]] : 'all'}`,
+      onChange: (i) => this.filter('mode', modes[i]),
+    });
+
+    // Every list that has a score (old scores don't know theirs)
+    const lists = new Map([[null, 'all']]);
+    this.scores.filter(entry => entry.wordListId).forEach(entry => lists.set(entry.wordListId, entry.wordListName));
+    const listIds = [...lists.keys()];
+    addOptionRow(this, 120, {
+      count: listIds.length,
+      index: 0,
+      label: (i) => `Word list: ${lists.get(listIds[i])}`,
+      onChange: (i) => this.filter('wordListId', listIds[i]),
+    });
+
+    const sortFields = Object.keys(SORT_FIELDS);
+    addOptionRow(this, 150, {
+      count: sortFields.length,
+      index: 0,
+      label: (i) => `Sort by: ${SORT_FIELDS[sortFields[i]]}`,
+      onChange: (i) => this.filter('sortBy', sortFields[i]),
+    });
+
+    this.tableText = this.add.text(width / 2, 190, '', {
+      fontSize: px(14),
+      fill: theme().text,
+      fontFamily: 'monospace',
+    }).setOrigin(0.5, 0);
+    this.refresh();
+
+    createButtonRow(this, this.scale.height - 30, [
+      { label: 'Back', onClick: () => this.scene.start('BootScene') },
+    ]);
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('BootScene'));
+  }
+
+  filter(name, value) {
+    this.filters[name] = value;
+    if (this.tableText) {
+      this.refresh();
+    }
+  }
+
+  refresh() {
+    const entries = queryScores(this.scores, { ...this.filters, limit: 10 });
+    if (entries.length === 0) {
+      this.tableText.setText('No scores yet');
+      return;
+    }
+    const pad = (value, width) => String(value).slice(0, width).padEnd(width);
+    const unknown = (value, format = v => v) => (value === null || value === undefined ? '-' : format(value));
+    const header = `${pad('#', 3)}${pad('Score', 6)}${pad('Name', 12)}${pad('Date', 11)}${pad('Mode', 12)}` +
+      `${pad('Word list', 16)}${pad('Words', 6)}${pad('Right', 6)}Longest`;
+    const lines = entries.map((entry, i) => {
+      const date = unknown(entry.date, d => new Date(d).toLocaleDateString());
+      const accuracy = unknown(entry.accuracy, a => `${Math.round(a * 100)}%`);
+      return `${pad(i + 1, 3)}${pad(entry.score, 6)}${pad(entry.name || '-', 12)}${pad(date, 11)}` +
+        `${pad(MODE_NAMES[entry.mode] || entry.mode, 12)}${pad(entry.wordListName || '-', 16)}` +
+        `${pad(unknown(entry.words), 6)}${pad(accuracy, 6)}${unknown(entry.maxLength)}`;
+    });
+    this.tableText.setText([header, ...lines].join('\n'));
+  }
+}
+
+
+/**
+ * GameScene:
+ * Draws the game (see GameState in core.js) and turns input into moves.
+ * The pause key (Esc and/or P, see PAUSE_KEYS) or the Pause button open
+ * the pause menu; the game also pauses when its tab or window is left.
+ */
+class GameScene extends Phaser.Scene {
+  constructor(key = 'GameScene') {
+    super(key);
+  }
+
+  create(data) {
+    this.startData = data;           // for "Restart game" in the pause menu
+    this.wordList = data.wordList;
+    this.level = data.level || 1;    // the level the game starts on
+    this.daily = data.daily || null; // the day of a daily challenge
+    this.seed = data.seed ?? Date.now();
+    // A daily challenge is played on the same screen everywhere, scaled to
+    // fit the window, so its room and letters are the same for everyone
+    if (this.daily) {
+      this.scale.setGameSize(DAILY_RULES.screen.width, DAILY_RULES.screen.height);
+      this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+        this.scale.setGameSize(WINDOW_SIZE.width, WINDOW_SIZE.height);
+      });
+    }
+    this.settings = {
+      direction: data.direction,
+      spelling: data.spelling,
+      movement: data.movement,
+      mode: data.mode || 'classic',
+    };
+    this.scheduler = loadScheduler();
+    this.stats = loadStats();
+    this.promptSpoken = false; // listening mode: the prompt was said, not shown
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => stopSpeaking());
+
+    // Only the title screen has music; the game has sound effects
+    this.sound.mute = prefs.muted;
+
+    // Define the room (grey area) where the snake moves
+    // (a replay brings the room of the screen it was recorded on)
+    this.room = data.room || {
+      x: ROOM_MARGIN,
+      y: ROOM_MARGIN + 40,
+      width: this.scale.width - ROOM_MARGIN * 2,
+      height: this.scale.height - ROOM_MARGIN * 2 - 40
+    };
+    this.speedScale = data.speedScale || Math.min(this.scale.width, this.scale.height) / 100;
+    // The speed setting counts from the start of a game on
+    this.speedFactor = data.speedFactor || SPEEDS[prefs.speed];
+  
+    // Grey background of the room, drawn by drawRoom() (its size depends on the level)
+    this.roomGraphics = this.add.graphics();
+
+    // Add a pause button on the top-left, for example
+    this.paused = false; // track whether the game is paused
+    this.time.paused = false; // and its clock (the scene is reused)
+    this.pauseButton = this.add.text(
+      10, 
+      10, 
+      'Pause', 
+      { fontSize: px(20), fill: theme().text, backgroundColor: theme().background }
+    ).setPadding(6).setInteractive();
+  
+    // When clicked, toggle paused state
+    this.pauseButton.on('pointerdown', () => {
+      this.togglePause();
+    });
+
+    // The rules live in core.js; the smooth snake's speed scales with the screen size.
+    // A daily challenge picks its words by the seed alone, so they are the
+    // same for everyone (the scheduler still learns from the results).
+    this.state = this.createState({
+      words: this.wordList.words,
+      primaryLang: this.wordList.primaryLang,
+      newLang: this.wordList.newLang,
+      room: this.room,
+      random: new Random(this.seed),
+      level: this.level,
+      direction: data.direction,
+      spelling: data.spelling,
+      movement: data.movement,
+      mode: this.settings.mode,
+      speedScale: this.speedScale,
+      speedFactor: this.speedFactor,
+      scheduler: this.daily ? null : this.scheduler,
+      wordSequence: data.wordSequence,
+    });
+    this.accumulator = 0; // time not yet stepped through
+    this.recorder = this.createRecorder();
+    this.levelUpScreen = null;
+    this.drawRoom();
+    this.snakeView = new SnakeView(this);
+
+    // Letter tiles on the field, by the id of the core letter
+    this.letterViews = new Map();
+  
+    this.scoreText = this.add.text(
+      this.scale.width - 10,
+      10,
+      '', 
+      { fontSize: px(20), fill: theme().text }
+    ).setOrigin(1, 0);
+    
+    // Keys (see CONTROL_SCHEMES), gamepads, swipes and the D-pad
+    setupControls(this);
+
+    this.levelText = this.add.text(
+      this.scale.width / 2,
+      10,
+      this.describeLevel(),
+      { fontSize: px(20), fill: theme().text }
+    ).setOrigin(0.5, 0);
+
+    // UI text (placed by layoutHud())
+    this.primaryWordText = this.add.text(this.scale.width/2, 0, '', { 
+      fontSize: px(20), 
+      fill: theme().text 
+    }).setOrigin(0.5, 0).setInteractive();
+    // In listening mode, tapping the prompt says it again
+    this.primaryWordText.on('pointerdown', () => {
+      if (this.promptSpoken) {
+        speak(this.state.prompt, this.state.languages[this.state.promptSide]);
+      }
+    });
+    this.spelledWordText = this.add.text(this.scale.width/2, 0, '', {
+      fontSize: px(20),
+      fill: theme().text
+    }).setOrigin(0.5, 0); 
+    this.showingFinishedWord = false;
+    // ✓ or ✗ above the spelled word for a moment after each letter, see flash()
+    this.feedbackText = this.add.text(this.scale.width/2, 0, '', { fontSize: px(28) }).setOrigin(0.5, 1);
+    this.feedbackTimer = null;
+
+    // Hint button in the bottom-left corner (or H)
+    this.hintButton = this.add.text(
+      10,
+      this.scale.height - 10,
+      `Hint (-${HINT_COST})`,
+      { fontSize: px(20), fill: theme().text, backgroundColor: theme().background }
+    ).setOrigin(0, 1).setPadding(6).setInteractive();
+    this.hintButton.on('pointerdown', () => {
+      this.hintRequested = true;
+    });
+    this.hintRequested = false;
+    this.hintKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.H);
+    this.layoutHud();
+    updateDpad(this, this.showsDpad());
+
+    // Settings changed while playing apply right away
+    const stopListening = onSettingsChanged(() => this.applySettings());
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, stopListening);
+  
+    // Start first word
+    this.state.start();
+    this.handleStateEvents();
+    this.render();
+  
+    // The pause key (see PAUSE_KEYS) opens the pause menu
+    this.escKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
+    this.pKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.P);
+    this.pauseMenu = null;
+
+    // A hidden tab or a window in the background pauses the game
+    const autoPause = () => this.pause();
+    this.game.events.on(Phaser.Core.Events.BLUR, autoPause);
+    this.game.events.on(Phaser.Core.Events.HIDDEN, autoPause);
+    this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+      this.game.events.off(Phaser.Core.Events.BLUR, autoPause);
+      this.game.events.off(Phaser.Core.Events.HIDDEN, autoPause);
+    });
+    // Keys held while SettingsScene was open don't count here
+    this.events.on(Phaser.Scenes.Events.RESUME, () => this.input.keyboard.resetKeys());
+  }
+
+  /**
+   * Places the texts that depend on the text size
+   */
+  layoutHud() {
+    const textheight = this.levelText.displayHeight;
+    this.primaryWordText.y = textheight + 5;
+    this.spelledWordText.y = this.scale.height - textheight - 5;
+    this.feedbackText.y = this.spelledWordText.y - 2;
+  }
+
+  /**
+   * Brings the sound, colors and text sizes in line with the settings
+   * (the speed only changes with the next game)
+   */
+  applySettings() {
+    this.sound.mute = prefs.muted;
+
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.drawRoom();
+    this.snakeView.recolor();
+    this.letterViews.forEach(view => view.letterText.setColor(theme().tileText));
+    this.renderLetters();
+
+    const texts = [this.pauseButton, this.scoreText, this.levelText, this.primaryWordText, this.spelledWordText, this.hintButton];
+    texts.forEach(text => text.setFontSize(px(20)).setColor(theme().text));
+    this.feedbackText.setFontSize(px(28));
+    this.pauseButton.setBackgroundColor(theme().background);
+    this.hintButton.setBackgroundColor(theme().background);
+    this.layoutHud();
+    this.customKeys = this.input.keyboard.addKeys(prefs.customKeys);
+    updateDpad(this, this.showsDpad());
+    // An open pause menu is drawn again in the new colors
+    if (this.pauseMenu) {
+      this.hidePauseMenu();
+      this.showPauseMenu();
+    }
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Stops the snake and the music and opens the pause menu
+   */
+  pause() {
+    if (this.paused || this.state.over) {
+      return;
+    }
+    this.paused = true;
+    // Timed things, like the level-up screen, wait for the game too
+    this.time.paused = true;
+    this.pauseButton.setText('Resume');
+    this.showPauseMenu();
+  }
+
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.paused = false;
+    this.time.paused = false;
+    this.hidePauseMenu();
+    // Keys pressed in the menu don't steer the snake
+    this.input.keyboard.resetKeys();
+    this.touchTurns = [];
+    this.pauseButton.setText('Pause');
+  }
+
+  // Whether the pause key (see PAUSE_KEYS) or a gamepad's Start was pressed since the last frame
+  pauseKeyPressed() {
+    const keys = {
+      escape: [this.escKey],
+      p: [this.pKey],
+      both: [this.escKey, this.pKey],
+    }[prefs.pauseKey];
+    // Everything is checked, so nothing is left "just down" for later
+    return [
+      ...keys.map(key => Phaser.Input.Keyboard.JustDown(key)),
+      ...[0, 1].map(index => padButtonPressed(this, index, PAD_BUTTONS.start)),
+    ].includes(true);
+  }
+
+  // Versus and replays have no D-pad
+  showsDpad() {
+    return prefs.dpad;
+  }
+
+  /**
+   * The pause menu: [{ label, onClick }]
+   */
+  pauseMenuItems() {
+    return [
+      { label: 'Resume', onClick: () => this.resume() },
+      { label: 'Restart word', onClick: () => this.restartWord() },
+      { label: 'Restart game', onClick: () => this.restartGame() },
+      { label: 'Settings', onClick: () => this.openSettings() },
+      { label: 'Quit to title', onClick: () => this.quit() },
+    ];
+  }
+
+  /**
+   * Draws the pause menu over the game; UP/DOWN (or a gamepad) pick an
+   * item and ENTER or SPACE (or A) chooses it, or tap it
+   */
+  showPauseMenu() {
+    const width = this.scale.width;
+    const height = this.scale.height;
+    const items = this.pauseMenuItems();
+    const rowHeight = Math.round(44 * TEXT_SIZES[prefs.textSize]);
+    const top = height / 2 - (items.length - 1) * rowHeight / 2;
+    const style = { fontSize: px(22), fill: theme().text, backgroundColor: theme().button };
+
+    const buttons = items.map(({ label, onClick }, i) => {
+      const button = this.add.text(width / 2, top + i * rowHeight, label, style)
+        .setOrigin(0.5).setPadding(10, 6).setInteractive();
+      button.on('pointerdown', onClick);
+      return button;
+    });
+    this.pauseMenu = {
+      focused: 0,
+      buttons,
+      container: this.add.container(0, 0, [
+        // Catches taps, so they don't reach the game under it
+        this.add.rectangle(0, 0, width, height, themeColor(theme().background), 0.7).setOrigin(0).setInteractive(),
+        this.add.text(width / 2, top - rowHeight * 1.5, 'Paused', { fontSize: px(40), fill: theme().accent })
+          .setOrigin(0.5),
+        ...buttons,
+      ]),
+      onKey: (event) => {
+        if (event.code === 'ArrowUp' || event.code === 'ArrowDown') {
+          this.focusPauseMenu(event.code === 'ArrowUp' ? -1 : 1);
+        } else if (['Enter', 'NumpadEnter', 'Space'].includes(event.code)) {
+          this.choosePauseItem();
         }
+      },
+    };
+    this.pauseMenu.container.setDepth(10);
+    this.input.keyboard.on('keydown', this.pauseMenu.onKey);
+    this.focusPauseMenu();
+    announce(`Paused. ${items.map(item => item.label).join(', ')}`);
+  }
+
+  focusPauseMenu(dir = 0) {
+    const menu = this.pauseMenu;
+    menu.focused = Phaser.Math.Wrap(menu.focused + dir, 0, menu.buttons.length);
+    menu.buttons.forEach((button, i) => {
+      button.setColor(i === menu.focused ? theme().accent : theme().text);
+    });
+  }
+
+  choosePauseItem() {
+    this.pauseMenuItems()[this.pauseMenu.focused].onClick();
+  }
+
+  // The first gamepad moves through the pause menu
+  handlePauseMenuPad() {
+    const direction = padTurn(this, 0);
+    if (direction === 'up' || direction === 'down') {
+      this.focusPauseMenu(direction === 'up' ? -1 : 1);
+    } else if (padButtonPressed(this, 0, PAD_BUTTONS.a)) {
+      this.choosePauseItem();
+    }
+  }
+
+  hidePauseMenu() {
+    if (!this.pauseMenu) {
+      return;
+    }
+    this.input.keyboard.off('keydown', this.pauseMenu.onKey);
+    this.pauseMenu.container.destroy();
+    this.pauseMenu = null;
+  }
+
+  /**
+   * Starts the current word over and goes on playing
+   */
+  restartWord() {
+    if (this.state.restartWord() && this.recorder) {
+      this.recorder.recordRestartWord(this.state);
+    }
+    this.resume();
+  }
+
+  /**
+   * The same game from the start, with new words (a daily challenge
+   * keeps its seed, so it stays the day's game)
+   */
+  restartGame() {
+    this.scene.restart({ ...this.startData, seed: this.daily ? this.startData.seed : Date.now() });
+  }
+
+  // SettingsScene over the paused game; it comes back here
+  openSettings() {
+    this.scene.launch('SettingsScene', { returnTo: this.scene.key });
+    this.scene.pause();
+  }
+
+  // Leaves the game: the replay and what was learned are kept, but no score
+  quit() {
+    this.hidePauseMenu();
+    this.gameOver({ quit: true });
+  }
+  
+  update(time, delta) {
+    if (this.pauseKeyPressed()) {
+      this.togglePause();
+      return;
+    }
+    if (this.pauseMenu) {
+      this.handlePauseMenuPad();
+    }
+
+    if (this.paused || this.levelUpScreen) {
+      // If paused, skip updating the snake or checking collisions.
+      // Optionally, still allow certain input if you want.
+      return;
+    }
+    
+    // Handle input each frame
+    this.handleInput();
+
+    this.advance(delta);
+    if (this.handleStateEvents()) {
+      this.render();
+    }
+  }
+
+  // VersusScene plays a VersusState
+  createState(options) {
+    return new GameState(options);
+  }
+
+  /**
+   * Moves the game on in fixed steps, so it plays the same at any frame rate
+   */
+  advance(delta) {
+    this.accumulator = Math.min(this.accumulator + delta, MAX_FRAME_MS);
+    while (this.accumulator >= STEP_MS && this.canStep()) {
+      this.beforeStep();
+      this.state.step(STEP_MS);
+      this.accumulator -= STEP_MS;
+    }
+  }
+
+  canStep() {
+    return !this.state.over;
+  }
+
+  // ReplayScene feeds recorded turns in here
+  beforeStep() {}
+
+  /**
+   * Records the game for ReplayScene (see replay.js)
+   */
+  createRecorder() {
+    return new ReplayRecorder({
+      seed: this.seed,
+      wordList: this.wordList,
+      ...this.settings,
+      level: this.level,
+      room: this.room,
+      speedScale: this.speedScale,
+      speedFactor: this.speedFactor,
+      screen: { width: this.scale.width, height: this.scale.height },
+      daily: this.daily,
+    });
+  }
+
+  /**
+   * Turns the snake and records the turn
+   */
+  turn(dx, dy, source) {
+    this.state.setDirection(dx, dy);
+    if (this.recorder) {
+      this.recorder.recordInput(this.state, dx, dy, source);
+    }
+  }
+
+  /**
+   * Reacts to what happened in the game since the last frame.
+   * Returns false once the game is over (the scene is leaving).
+   */
+  handleStateEvents() {
+    for (const event of this.state.takeEvents()) {
+      this.learnFrom(event);
+      switch (event.type) {
+        case 'newWord':
+          if (this.recorder) {
+            this.recorder.recordWord(this.state, event);
+          }
+          // Listening mode: hear the word instead of reading it
+          // (shown after all if it can't be spoken)
+          this.promptSpoken = prefs.listeningMode && speak(event.prompt, event.promptLang);
+          if (!this.promptSpoken) {
+            announce(`New word: ${event.prompt}`);
+          }
+          break;
+        case 'correct':
+          this.flash(true);
+          playSound('correct', sfxVolume());
+          this.announceLetter(event);
+          break;
+        case 'wrong':
+          this.flash(false);
+          playSound('wrong', sfxVolume());
+          this.announceLetter(event);
+          break;
+        case 'hint':
+          playSound('hint', sfxVolume());
+          break;
+        case 'wordCompleted':
+          this.showFinishedWord(event);
+          if (prefs.speakWords) {
+            speak(event.answer, event.answerLang);
+          }
+          announce(`Spelled: ${event.answer}`);
+          break;
+        case 'levelUp':
+          playSound('levelUp', sfxVolume());
+          announce(`Level ${event.level}`);
+          this.showLevelUp(event);
+          break;
+        case 'wordRestarted':
+          announce(`Word restarted: ${this.state.prompt}`);
+          break;
+        case 'gameOver':
+          playSound('gameOver', sfxVolume());
+          this.gameOver();
+          return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * For screen readers: the letter taken and what is spelled so far
+   */
+  announceLetter(event) {
+    const spelled = spellOut(this.state.spelledLetters) || 'nothing yet';
+    announce(`${event.type === 'correct' ? 'Right' : 'Wrong'}: ${event.letter}. Spelled: ${spelled}`);
+  }
+
+  /**
+   * Keeps the statistics and spaced-repetition records up to date
+   */
+  learnFrom(event) {
+    switch (event.type) {
+      case 'newWord':
+        this.stats.recordShown(event.word);
+        break;
+      case 'correct':
+        this.stats.recordPick(this.state.currentWord, event.letter, true);
         break;
+      case 'wrong':
+        this.stats.recordPick(this.state.currentWord, event.letter, false);
+        break;
+      case 'hint':
+        this.stats.recordHint(this.state.currentWord);
+        break;
+      case 'wordCompleted':
+        this.recordWordResult(event.word, {
+          wrongLetters: event.wrongLetters,
+          hintsUsed: event.hintsUsed,
+          timeToSpell: event.timeToSpell,
+          completed: true,
+        });
+        break;
+    }
+  }
+
+  /**
+   * Brings the snake, letters and texts up to date with the state
+   */
+  render() {
+    const state = this.state;
+    this.snakeView.sync(state.snake);
+    this.renderLetters();
+    this.primaryWordText.setText(this.promptSpoken ? '🔊 Listen (tap to hear again)' : state.prompt);
+    if (!this.showingFinishedWord) {
+      this.spelledWordText.setText(this.describeSpelled());
+    }
+    this.scoreText.setText(this.describeScore());
+    this.levelText.setText(this.describeLevel());
+  }
+
+  /**
+   * The spelled letters, and the start of the answer if a hint revealed it
+   */
+  describeSpelled() {
+    const { spelledLetters, revealed } = this.state;
+    if (revealed.length > spelledLetters.length && revealed.startsWith(spelledLetters)) {
+      return `${spelledLetters}   (hint: ${revealed}…)`;
+    }
+    return spelledLetters;
+  }
+
+  /**
+   * The length of the snake (and the longest it was), or in time
+   * attack the words spelled and the time left
+   */
+  describeScore() {
+    const state = this.state;
+    if (state.mode === 'timeAttack') {
+      const seconds = Math.ceil(state.timeLeft / 1000);
+      return `${state.wordsCompleted} words · ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    return `${state.length} (${state.bestLength})`;
+  }
+
+  /**
+   * E.g. "Level 2 · 3/5 words · 85% right (80%)": the progress
+   * towards the next level, see LEVEL_UP_WORDS in core.js
+   */
+  describeLevel() {
+    const progress = this.state.levelProgress();
+    const percent = (share) => `${Math.round(share * 100)}%`;
+    const accuracy = progress.accuracy === null ? '-' : percent(progress.accuracy);
+    const text = `Level ${this.state.level} · ${Math.min(progress.words, progress.wordsNeeded)}/` +
+      `${progress.wordsNeeded} words · ${accuracy} right (${percent(progress.accuracyNeeded)})`;
+    if (this.daily) {
+      return `Daily · ${text}`;
+    }
+    return this.state.mode === 'classic' ? text : `${MODE_NAMES[this.state.mode]} · ${text}`;
+  }
+
+  drawRoom() {
+    const room = this.state.room;
+    this.roomGraphics.clear();
+    this.roomGraphics.fillStyle(theme().room, 1);
+    this.roomGraphics.fillRect(room.x, room.y, room.width, room.height);
+  }
+
+  /**
+   * Shows what changes on the new level for a moment, then goes on
+   */
+  showLevelUp(event) {
+    const settings = event.settings;
+    const previous = getLevelSettings(event.level - 1);
+    const changes = [`Words up to difficulty ${event.level}`];
+    if (settings.speed > previous.speed) {
+      changes.push('A faster snake');
+    }
+    if (settings.extraLetters > previous.extraLetters) {
+      changes.push(`${settings.extraLetters} wrong letters`);
+    }
+    if (settings.room < previous.room) {
+      changes.push('A smaller room');
+    }
+
+    const width = this.scale.width;
+    const height = this.scale.height;
+    this.levelUpScreen = this.add.container(0, 0, [
+      this.add.rectangle(0, 0, width, height, themeColor(theme().background), 0.7).setOrigin(0),
+      this.add.text(width / 2, height / 2 - 40, `Level ${event.level}!`, { fontSize: px(48), fill: theme().accent })
+        .setOrigin(0.5),
+      this.add.text(width / 2, height / 2 + 30, changes.join('\n'), {
+        fontSize: px(20),
+        fill: theme().text,
+        align: 'center',
+      }).setOrigin(0.5, 0),
+    ]);
+    this.time.delayedCall(LEVEL_UP_SCREEN_MS, () => this.continueLevel());
+  }
+
+  continueLevel() {
+    this.levelUpScreen.destroy();
+    this.levelUpScreen = null;
+    this.state.startNextLevel();
+    this.drawRoom();
+    if (this.handleStateEvents()) {
+      this.render();
+    }
+  }
+
+  renderLetters() {
+    const ids = new Set(this.state.lettersOnField.map(letterObj => letterObj.id));
+    // Remove tiles that were taken or belonged to the previous word
+    this.letterViews.forEach((view, id) => {
+      if (!ids.has(id)) {
+        view.letterRect.destroy();
+        view.letterText.destroy();
+        this.letterViews.delete(id);
+      }
+    });
+    // Add tiles for new letters; tiles pointed out by a hint are yellow
+    this.state.lettersOnField.forEach(letterObj => {
+      if (!this.letterViews.has(letterObj.id)) {
+        this.letterViews.set(letterObj.id, this.createLetterView(letterObj));
       }
+      const hinted = this.state.hintedLetterIds.includes(letterObj.id);
+      this.letterViews.get(letterObj.id).letterRect.setFillStyle(hinted ? theme().hint : theme().tile);
+    });
+  }
+
+  createLetterView(letterObj) {
+    return addLetterTile(this, letterObj);
+  }
+  
+  handleInput() {
+    // Keys and the gamepad => turns (the snake queues them)
+    for (const keys of steeringKeys(this)) {
+      pressedDirections(keys).forEach(direction => this.turn(...TURNS[direction], 'key'));
+    }
+    const padDirection = padTurn(this, 0);
+    if (padDirection) {
+      this.turn(...TURNS[padDirection], 'pad');
+    }
+
+    // H, the hint button or the gamepad's Y => hint
+    const hintPressed = Phaser.Input.Keyboard.JustDown(this.hintKey) || padButtonPressed(this, 0, PAD_BUTTONS.y);
+    if (hintPressed || this.hintRequested) {
+      this.hintRequested = false;
+      if (this.state.useHint() && this.recorder) {
+        this.recorder.recordHint(this.state);
+      }
+    }
+
+    // Swipes and D-pad taps, in the order they came
+    this.touchTurns.splice(0).forEach(({ direction, source }) => this.turn(...TURNS[direction], source));
+  }
+
+  /**
+   * Briefly shows the answer that was just spelled (see the
+   * 'wordCompleted' event) in place of the (new, empty) spelled word,
+   * and the other accepted answers if any.
+   */
+  showFinishedWord(event, prefix = '') {
+    const finished = event.answer;
+    const others = event.answers.filter(answer => answer !== finished);
+    let text = `${prefix}✓ ${finished}`;
+    if (others.length > 0) {
+      text += `  (also: ${others.join(', ')})`;
+    }
+    this.spelledWordText.setText(text);
+    this.showingFinishedWord = true;
+    this.time.delayedCall(1500, () => {
+      this.showingFinishedWord = false;
+      this.spelledWordText.setText(this.describeSpelled());
+    });
+  }
+
+  /**
+   * Updates the spaced-repetition record and statistics of a word
+   */
+  recordWordResult(word, result) {
+    this.scheduler.recordResult(word, result);
+    if (result.completed) {
+      this.stats.recordCompleted(word, result.timeToSpell);
+    }
+    trySaving('word progress', () => {
+      saveScheduler(this.scheduler);
+      saveStats(this.stats);
+    });
+  }
+
+  /**
+   * Shows a letter was right or wrong: a ✓ or ✗ (not just a color) and,
+   * unless motion is reduced, the background flashing
+   */
+  flash(good) {
+    this.feedbackText.setText(good ? '✓' : '✗').setColor(good ? theme().good : theme().bad);
+    if (this.feedbackTimer) {
+      this.feedbackTimer.remove();
+    }
+    this.feedbackTimer = this.time.delayedCall(600, () => this.feedbackText.setText(''));
+    if (prefs.reducedMotion) {
+      return;
+    }
+    this.cameras.main.setBackgroundColor(good ? theme().good : theme().bad);
+    this.time.delayedCall(100, () => {
+      this.cameras.main.setBackgroundColor(theme().background);
+    });
+  }
+
+  /**
+   * Keeps the replay, statistics and score, then goes back to BootScene.
+   * A game the player quit gets no score (and no daily best).
+   */
+  gameOver({ quit = false } = {}) {
+    // Keep the recording for ReplayScene
+    const state = this.state;
+    announce(`Game over. ${state.wordsCompleted} words, longest snake ${state.bestLength}`);
+    const replay = this.recorder.finish(state, quit ? 'quit' : state.overReason || 'quit');
+    trySaving('replay', () => addReplay(replay));
+
+    // A word the player got stuck on needs more practice
+    if (state.currentWord && (state.wrongLetters > 0 || state.hintsUsed > 0)) {
+      this.recordWordResult(state.currentWord, {
+        wrongLetters: state.wrongLetters,
+        hintsUsed: state.hintsUsed,
+        timeToSpell: state.time - state.wordStartTime,
+        completed: false,
+      });
+    } else {
+      trySaving('stats', () => saveStats(this.stats));
+    }
+
+    if (quit) {
+      this.scene.start('BootScene');
+      return;
+    }
+
+    // A daily challenge only counts for the day's own best
+    if (this.daily) {
+      trySaving('daily score', () => recordDailyScore(this.daily, state.bestLength));
+      this.scene.start('BootScene');
+      return;
+    }
+
+    // Every mode has its own leaderboard (see leaderboard.js);
+    // a name is asked for when the score makes it onto one
+    let name = loadPlayerName() || getCurrentProfile().name;
+    if (isHighScore(state.mode, state.score)) {
+      const entered = window.prompt(`New high score: ${state.score}! Your name:`, name);
+      if (entered !== null && entered.trim()) {
+        name = entered.trim().slice(0, 20);
+        trySaving('name', () => savePlayerName(name));
+      }
+    }
+    trySaving('score', () => recordScore({
+      name,
+      date: Date.now(),
+      mode: state.mode,
+      wordListId: this.wordList.id || null,
+      wordListName: this.wordList.name || '',
+      words: state.wordsCompleted,
+      accuracy: state.accuracy,
+      maxLength: state.bestLength,
+      score: state.score,
+    }));
+
+    // Then go back to BootScene
+    this.scene.start('BootScene');
+  }
+}
+
+
+/**
+ * ReplaysScene:
+ * The saved replays (see replay.js): watch, export, import or delete them.
+ */
+class ReplaysScene extends Phaser.Scene {
+  constructor() {
+    super('ReplaysScene');
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.replays = loadReplays();
+    this.selected = 0;
+    this.lineTexts = [];
+
+    this.add.text(this.scale.width / 2, 20, 'Replays', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+    this.messageText = this.add.text(
+      this.scale.width / 2,
+      this.scale.height - 70,
+      '',
+      { fontSize: px(14), fill: theme().warning, align: 'center' }
+    ).setOrigin(0.5);
+
+    createButtonRow(this, this.scale.height - 30, [
+      { label: 'Watch', onClick: () => this.watch() },
+      { label: 'Export', onClick: () => this.exportSelected() },
+      { label: 'Import', onClick: () => this.importFile() },
+      { label: 'Delete', onClick: () => this.deleteSelected() },
+      { label: 'Back', onClick: () => this.scene.start('BootScene') },
+    ]);
+
+    this.input.keyboard.on('keydown-UP', () => this.select(this.selected - 1));
+    this.input.keyboard.on('keydown-DOWN', () => this.select(this.selected + 1));
+    this.input.keyboard.on('keydown-SPACE', () => this.watch());
+    this.input.keyboard.on('keydown-ENTER', () => this.watch());
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('BootScene'));
+    this.refresh();
+  }
+
+  /**
+   * E.g. "19/10/2026, 14:05  Glossary 3  SV → EN  4 words, longest 9"
+   */
+  describe(replay) {
+    const when = new Date(replay.recordedAt).toLocaleString();
+    const direction = describeDirection(replay.settings.direction, replay.wordList);
+    const mode = replay.settings.mode || 'classic';
+    const daily = replay.settings.daily ? '  (daily)' : (mode === 'classic' ? '' : `  (${MODE_NAMES[mode]})`);
+    return `${when}  ${replay.wordList.name}  ${direction}  ` +
+      `${replay.result.wordsCompleted} words, longest ${replay.result.bestLength}${daily}`;
+  }
+
+  refresh() {
+    this.lineTexts.forEach(text => text.destroy());
+    this.lineTexts = [];
+    if (this.replays.length === 0) {
+      this.lineTexts.push(this.add.text(
+        this.scale.width / 2, 90, 'No replays yet: play a game first', { fontSize: px(16), fill: theme().text }
+      ).setOrigin(0.5, 0));
+      return;
+    }
+    this.replays.forEach((replay, i) => {
+      const text = this.add.text(this.scale.width / 2, 80 + i * 26, this.describe(replay), {
+        fontSize: px(16),
+        fill: i === this.selected ? theme().accent : theme().text,
+      }).setOrigin(0.5, 0).setInteractive();
+      text.on('pointerdown', () => this.select(i));
+      this.lineTexts.push(text);
+    });
+  }
+
+  select(index) {
+    if (this.replays.length > 0) {
+      this.selected = Phaser.Math.Wrap(index, 0, this.replays.length);
+      this.refresh();
+    }
+  }
+
+  watch() {
+    const replay = this.replays[this.selected];
+    if (replay) {
+      this.scene.start('ReplayScene', { replay });
+    }
+  }
+
+  exportSelected() {
+    const replay = this.replays[this.selected];
+    if (replay) {
+      downloadFile(replayFileName(replay), JSON.stringify(replay, null, 2), 'application/json');
+    }
+  }
+
+  importFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      file.text().then(text => {
+        const { replay, error } = parseReplay(text);
+        if (error) {
+          this.messageText.setText(`${file.name}: ${error}`);
+          return;
+        }
+        try {
+          addReplay(replay);
+        } catch (err) {
+          this.messageText.setText(`Could not save: ${err.message}`);
+          return;
+        }
+        this.messageText.setText(`Imported ${file.name}`);
+        this.replays = loadReplays();
+        this.selected = 0;
+        this.refresh();
+      });
+    });
+    fileInput.click();
+  }
+
+  deleteSelected() {
+    const replay = this.replays[this.selected];
+    if (replay && window.confirm(`Delete the replay "${this.describe(replay)}"?`)) {
+      this.replays.splice(this.selected, 1);
+      saveReplays(this.replays);
+      this.select(this.selected);
+      this.refresh();
+    }
+  }
+}
+
+
+/**
+ * ProfilesScene:
+ * The players of this device (see profiles.js): choose, add, delete,
+ * export or import one.
+ */
+class ProfilesScene extends Phaser.Scene {
+  constructor() {
+    super('ProfilesScene');
+  }
+
+  create() {
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.profiles = loadProfiles();
+    this.selected = Math.max(0, this.profiles.findIndex(p => p.id === getCurrentProfile().id));
+    this.lineTexts = [];
+
+    this.add.text(this.scale.width / 2, 20, 'Players', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+    this.messageText = this.add.text(
+      this.scale.width / 2,
+      this.scale.height - 70,
+      '',
+      { fontSize: px(14), fill: theme().warning, align: 'center' }
+    ).setOrigin(0.5);
+
+    createButtonRow(this, this.scale.height - 30, [
+      { label: 'Play as', onClick: () => this.choose() },
+      { label: 'New', onClick: () => this.addProfile() },
+      { label: 'Delete', onClick: () => this.deleteSelected() },
+      { label: 'Export', onClick: () => this.exportSelected() },
+      { label: 'Import', onClick: () => this.importFile() },
+      { label: 'Back', onClick: () => this.scene.start('BootScene') },
+    ]);
+
+    this.input.keyboard.on('keydown-UP', () => this.select(this.selected - 1));
+    this.input.keyboard.on('keydown-DOWN', () => this.select(this.selected + 1));
+    this.input.keyboard.on('keydown-SPACE', () => this.choose());
+    this.input.keyboard.on('keydown-ENTER', () => this.choose());
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('BootScene'));
+    this.refresh();
+  }
+
+  refresh() {
+    const currentId = getCurrentProfile().id;
+    this.lineTexts.forEach(text => text.destroy());
+    this.lineTexts = this.profiles.map((profile, i) => {
+      const playing = profile.id === currentId ? '  (playing)' : '';
+      const text = this.add.text(this.scale.width / 2, 80 + i * 30, `${profile.name}${playing}`, {
+        fontSize: px(20),
+        fill: i === this.selected ? theme().accent : theme().text,
+      }).setOrigin(0.5, 0).setInteractive();
+      text.on('pointerdown', () => this.select(i));
+      return text;
+    });
+  }
+
+  select(index) {
+    this.selected = Phaser.Math.Wrap(index, 0, this.profiles.length);
+    this.refresh();
+  }
+
+  // Plays as the selected profile, with its own settings
+  choose() {
+    selectProfile(this.profiles[this.selected].id);
+    reloadSettings();
+    this.scene.start('BootScene');
+  }
+
+  addProfile() {
+    const name = window.prompt('Name of the new player:');
+    if (name === null || !name.trim()) {
+      return;
+    }
+    if (this.profiles.some(profile => profile.name === name.trim())) {
+      this.messageText.setText(`There is already a player called ${name.trim()}`);
+      return;
+    }
+    createProfile(name.trim().slice(0, 20));
+    this.profiles = loadProfiles();
+    this.select(this.profiles.length - 1);
+  }
+
+  deleteSelected() {
+    const profile = this.profiles[this.selected];
+    if (this.profiles.length <= 1) {
+      this.messageText.setText('The last player can not be deleted');
+      return;
+    }
+    if (!window.confirm(`Delete ${profile.name} with all their scores, statistics and word lists?`)) {
+      return;
+    }
+    deleteProfile(profile.id);
+    reloadSettings(); // in case it was the one playing
+    this.profiles = loadProfiles();
+    this.select(this.selected);
+  }
+
+  exportSelected() {
+    const profile = this.profiles[this.selected];
+    downloadFile(profileFileName(profile), JSON.stringify(exportProfile(profile.id)), 'application/json');
+  }
+
+  importFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      file.text().then(text => {
+        const { profile, error } = parseProfile(text);
+        if (error) {
+          this.messageText.setText(`${file.name}: ${error}`);
+          return;
+        }
+        let imported;
+        try {
+          imported = importProfile(profile);
+        } catch (err) {
+          this.messageText.setText(`Could not save: ${err.message}`);
+          return;
+        }
+        this.messageText.setText(`Imported ${imported.name}`);
+        this.profiles = loadProfiles();
+        this.select(this.profiles.findIndex(p => p.id === imported.id));
+      });
+    });
+    fileInput.click();
+  }
+}
+
+
+/**
+ * SettingsScene:
+ * The player's preferences (see settings.js), saved as they change.
+ */
+class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super('SettingsScene');
+  }
+
+  create(data) {
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.prefs = loadSettings();
+    // The paused game that opened this screen, if any (see GameScene.openSettings())
+    this.returnTo = (data && data.returnTo) || null;
+    if (this.returnTo) {
+      this.scene.bringToTop();
+    }
+    const width = this.scale.width;
+    const rowHeight = Math.round(30 * TEXT_SIZES[prefs.textSize]);
+    let y = 20;
+
+    this.add.text(width / 2, y, 'Settings', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+    y += 60;
+
+    // A row for choosing one of values; labels[i] is shown for values[i]
+    const addChoice = (label, name, values, labels = values) => {
+      addOptionRow(this, y, {
+        count: values.length,
+        index: Math.max(0, values.indexOf(this.prefs[name])),
+        label: (i) => `${label}: ${labels[i]}`,
+        onChange: (i) => this.change(name, values[i]),
+      });
+      y += rowHeight;
+    };
+    const volumes = Array.from({ length: 11 }, (_, i) => i / 10);
+    const percents = volumes.map(volume => `${Math.round(volume * 100)}%`);
+    const onOff = ['off', 'on'];
+
+    addChoice('Music volume', 'musicVolume', volumes, percents);
+    addChoice('Sound effects volume', 'sfxVolume', volumes, percents);
+    addChoice('Mute all sound', 'muted', [false, true], onOff);
+    addChoice('Snake speed (next game)', 'speed', Object.keys(SPEEDS));
+    const schemes = Object.keys(CONTROL_SCHEMES);
+    addChoice('Keys', 'controls', schemes, schemes.map(scheme => scheme === 'custom'
+      ? `${CONTROL_SCHEMES.custom} (${describeKeys(this.prefs.customKeys)})`
+      : CONTROL_SCHEMES[scheme]));
+    addChoice('Pause key', 'pauseKey', Object.keys(PAUSE_KEYS), Object.values(PAUSE_KEYS));
+    addChoice('Swipe sensitivity', 'swipe', Object.keys(SWIPE_DISTANCES));
+    addChoice('On-screen arrows (D-pad)', 'dpad', [false, true], onOff);
+    addChoice('Text size', 'textSize', Object.keys(TEXT_SIZES));
+    addChoice('Colors', 'theme', Object.keys(THEMES), Object.keys(THEMES).map(key => THEME_NAMES[key]));
+    addChoice('Reduced motion (no flashing)', 'reducedMotion', [false, true], onOff);
+    const list = getPlayableWordLists().find(l => l.id === storage.getItem('wordSnakeWordList'));
+    addChoice('Direction', 'direction', DIRECTIONS, DIRECTIONS.map(direction => describeDirection(direction, list)));
+    // Each spelling flag on its own (the title screen has presets of them)
+    const spellingLabels = {
+      autoFillSpaces: 'Fill in spaces',
+      autoFillPunctuation: 'Fill in punctuation',
+      ignoreCase: 'Letters match in any case',
+    };
+    SPELLING_FLAGS.forEach(flag => {
+      addOptionRow(this, y, {
+        count: 2,
+        index: this.prefs.spelling[flag] ? 1 : 0,
+        label: (i) => `${spellingLabels[flag]}: ${onOff[i]}`,
+        onChange: (i) => {
+          if (this.prefs.spelling[flag] !== (i === 1)) {
+            this.change('spelling', { ...this.prefs.spelling, [flag]: i === 1 });
+          }
+        },
+      });
+      y += rowHeight;
+    });
+    addChoice('Say spelled words aloud', 'speakWords', [false, true], onOff);
+    addChoice('Listening mode (hear the word to translate)', 'listeningMode', [false, true], onOff);
+
+    // Back on the row that was changed after a restart (see change())
+    if (data && data.focusedRow) {
+      focusOptionRow(this, data.focusedRow);
+    }
+
+    if (!speechAvailable()) {
+      this.add.text(width / 2, y + 10, 'This browser can not speak: words are shown instead', {
+        fontSize: px(14),
+        fill: theme().warning,
+      }).setOrigin(0.5, 0);
+    }
+
+    createButtonRow(this, this.scale.height - 30, [
+      { label: 'Choose your own keys', onClick: () => this.scene.start('KeysScene', { returnTo: this.returnTo }) },
+      { label: 'Back', onClick: () => this.back() },
+    ]);
+    this.input.keyboard.once('keydown-ESC', () => this.back());
+  }
+
+  back() {
+    if (this.returnTo) {
+      this.scene.stop();
+      this.scene.resume(this.returnTo);
+    } else {
+      this.scene.start('BootScene');
+    }
+  }
+
+  /**
+   * Saves a changed setting. The colors and text sizes of this screen
+   * are only changed by drawing it again.
+   */
+  change(name, value) {
+    if (this.prefs[name] === value) {
+      return;
+    }
+    this.prefs[name] = value;
+    saveSettings(this.prefs);
+    if (name === 'sfxVolume') {
+      playSound('correct', sfxVolume()); // to hear how loud it is
+    }
+    if (name === 'theme' || name === 'textSize') {
+      this.scene.restart({ focusedRow: this.focusedRow, returnTo: this.returnTo });
+    }
+  }
+}
+
+
+// Keys that can't steer: ESC cancels choosing, P and H pause and hint
+const RESERVED_KEYS = [
+  Phaser.Input.Keyboard.KeyCodes.ESC,
+  Phaser.Input.Keyboard.KeyCodes.P,
+  Phaser.Input.Keyboard.KeyCodes.H,
+];
+const KEY_DIRECTIONS = ['up', 'left', 'down', 'right'];
+
+// A key's name for the screen, e.g. 'I' or 'NUMPAD_EIGHT'
+function keyName(code) {
+  const codes = Phaser.Input.Keyboard.KeyCodes;
+  return Object.keys(codes).find(name => codes[name] === code) || `#${code}`;
+}
+
+// The player's own keys (see CONTROL_SCHEMES) in the order up, left, down, right
+function describeKeys(keys) {
+  return KEY_DIRECTIONS.map(direction => keyName(keys[direction])).join(' ');
+}
+
+/**
+ * KeysScene:
+ * Chooses the player's own steering keys, one key press per direction,
+ * and switches the controls to them. ESC cancels.
+ */
+class KeysScene extends Phaser.Scene {
+  constructor() {
+    super('KeysScene');
+  }
+
+  create(data) {
+    // Passed on to SettingsScene, which may be over a paused game
+    this.returnTo = (data && data.returnTo) || null;
+    this.scene.bringToTop();
+    this.cameras.main.setBackgroundColor(theme().background);
+    this.keys = {};
+    const width = this.scale.width;
+
+    this.add.text(width / 2, 20, 'Your own keys', { fontSize: px(32), fill: theme().text }).setOrigin(0.5, 0);
+    this.promptText = this.add.text(width / 2, 120, '', { fontSize: px(24), fill: theme().accent }).setOrigin(0.5, 0);
+    this.chosenText = this.add.text(width / 2, 180, '', { fontSize: px(20), fill: theme().text, align: 'center' })
+      .setOrigin(0.5, 0);
+    this.messageText = this.add.text(width / 2, 300, '', { fontSize: px(16), fill: theme().warning }).setOrigin(0.5, 0);
+
+    createButtonRow(this, this.scale.height - 30, [
+      { label: 'Cancel', onClick: () => this.back() },
+    ]);
+    this.input.keyboard.on('keydown', (event) => this.choose(event.keyCode));
+    this.refresh();
+  }
+
+  refresh() {
+    const next = KEY_DIRECTIONS[Object.keys(this.keys).length];
+    this.promptText.setText(`Press the key for ${next}`);
+    this.chosenText.setText(Object.entries(this.keys)
+      .map(([direction, code]) => `${direction}: ${keyName(code)}`)
+      .join('\n'));
+  }
+
+  choose(code) {
+    if (code === Phaser.Input.Keyboard.KeyCodes.ESC) {
+      this.back();
+      return;
+    }
+    if (RESERVED_KEYS.includes(code)) {
+      this.messageText.setText(`${keyName(code)} pauses or gives hints, pick another key`);
+      return;
     }
+    if (Object.values(this.keys).includes(code)) {
+      this.messageText.setText(`${keyName(code)} is taken already`);
+      return;
+    }
+    this.messageText.setText('');
+    this.keys[KEY_DIRECTIONS[Object.keys(this.keys).length]] = code;
+    if (Object.keys(this.keys).length < KEY_DIRECTIONS.length) {
+      this.refresh();
+      return;
+    }
+    const settings = loadSettings();
+    settings.customKeys = this.keys;
+    settings.controls = 'custom';
+    saveSettings(settings);
+    this.back();
+  }
+
+  back() {
+    this.scene.start('SettingsScene', { returnTo: this.returnTo });
+  }
+}
+
+
+// Playback speeds of ReplayScene
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * ReplayScene:
+ * Plays a recorded game again: the same seed, words and turns give the
+ * same game. Nothing is learned from it (no statistics or scores).
+ * SPACE pauses, LEFT/RIGHT change the speed, ESC goes back.
+ */
+class ReplayScene extends GameScene {
+  constructor() {
+    super('ReplayScene');
+  }
+
+  create(data) {
+    const replay = data.replay;
+    const settings = replay.settings;
+    this.replay = replay;
+    this.nextInput = 0;
+    this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+    this.finished = false;
+
+    super.create({
+      wordList: replay.wordList,
+      seed: replay.seed,
+      level: settings.level,
+      direction: settings.direction,
+      spelling: settings.spelling,
+      movement: settings.movement,
+      mode: settings.mode,
+      room: settings.room,
+      speedScale: settings.speedScale,
+      speedFactor: settings.speedFactor || 1, // not in older replays
+      wordSequence: replay.words.map(entry => entry.word),
+      daily: settings.daily,
+    });
+
+    // Hints come from the recording
+    this.hintButton.setVisible(false);
+
+    // A game recorded on a larger screen is shown smaller
+    const zoom = Math.min(1, this.scale.width / settings.screen.width, this.scale.height / settings.screen.height);
+    this.cameras.main.setOrigin(0, 0).setZoom(zoom);
+
+    // Speed buttons next to the pause button
+    const style = { fontSize: px(20), fill: theme().text, backgroundColor: theme().background };
+    const slower = this.add.text(this.pauseButton.x + this.pauseButton.displayWidth + 30, 10, '−', style)
+      .setPadding(6).setInteractive();
+    const faster = this.add.text(slower.x + slower.displayWidth + 8, 10, '+', style)
+      .setPadding(6).setInteractive();
+    slower.on('pointerdown', () => this.changeSpeed(-1));
+    faster.on('pointerdown', () => this.changeSpeed(1));
+
+    this.input.keyboard.on('keydown-SPACE', () => {
+      if (this.finished) {
+        this.scene.restart({ replay });
+      } else {
+        this.togglePause();
+      }
+    });
+    this.input.keyboard.on('keydown-LEFT', () => this.changeSpeed(-1));
+    this.input.keyboard.on('keydown-RIGHT', () => this.changeSpeed(1));
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('ReplaysScene'));
+    this.render();
   }
 
-  handleLetterCollisions() {
-    const headBounds = this.snake.head.getBounds();
-    for (let i = this.lettersOnField.length - 1; i >= 0; i--) {
-      let letterObj = this.lettersOnField[i];
-      let letterBounds = letterObj.letterRect.getBounds();
-      if (Phaser.Geom.Intersects.RectangleToRectangle(headBounds, letterBounds)) {
-        // Remove it from screen
-        letterObj.letterText.destroy();
-        letterObj.letterRect.destroy();
-        this.lettersOnField.splice(i, 1);
-        // Collided with a letter
-        this.processLetter(letterObj);        
+  update(time, delta) {
+    if (this.paused || this.finished || this.levelUpScreen) {
+      return;
+    }
+    this.advance(delta * REPLAY_SPEEDS[this.speedIndex]);
+    if (this.handleStateEvents()) {
+      this.render();
+      if (!this.canStep()) {
+        this.endReplay(); // the player left the game here
       }
     }
   }
-  
-  processLetter(letterObj) {
-    // The index of the next needed letter in currentWord.newLang
-    const nextNeededIndex = this.spelledLetters.length;
-    const wordNeeded = this.currentWord.newLang;
-  
-    // If we still have letters left to spell…
-    if (nextNeededIndex < wordNeeded.length) {
-      const neededChar = wordNeeded[nextNeededIndex];
-  
-      if (letterObj.letter === neededChar) {
-        // ---- Correct pick in correct order ----
-        this.flash(true);
-        this.snake.grow();
-        this.updateScoreDisplay();
-        this.spelledLetters += letterObj.letter;
-        this.spelledWordText.setText(this.spelledLetters);
-  
-        // If fully spelled the entire word, load next
-        if (this.spelledLetters.length >= wordNeeded.length) {
-          this.loadNewWord();
-        }
-        // Otherwise, do nothing special; letters remain on the board
+
+  pause() {
+    if (!this.finished) {
+      super.pause();
+    }
+  }
+
+  // A replay has no menu to choose from, it only stops
+  showPauseMenu() {
+    this.pausedText = this.add.text(
+      this.scale.width / 2,
+      this.scale.height / 2,
+      'PAUSED',
+      { fontSize: px(48), fill: theme().bad }
+    ).setOrigin(0.5);
+  }
+
+  hidePauseMenu() {
+    if (this.pausedText) {
+      this.pausedText.destroy();
+      this.pausedText = null;
+    }
+  }
+
+  changeSpeed(dir) {
+    this.speedIndex = Phaser.Math.Clamp(this.speedIndex + dir, 0, REPLAY_SPEEDS.length - 1);
+    this.render();
+  }
+
+  // Shows the speed and how far the replay has come
+  render() {
+    super.render();
+    const formatTime = (ms) => {
+      const seconds = Math.floor(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+    if (this.speedIndex !== undefined) {
+      this.levelText.setText(
+        `Replay ${REPLAY_SPEEDS[this.speedIndex]}x  ` +
+        `${formatTime(this.state.time)} / ${formatTime(this.replay.result.time)}  Level ${this.state.level}`
+      );
+    }
+  }
+
+  canStep() {
+    return super.canStep() && this.state.stepCount < this.replay.result.steps;
+  }
+
+  // The recorded turns, at the steps they were made
+  beforeStep() {
+    const inputs = this.replay.inputs;
+    while (this.nextInput < inputs.length && inputs[this.nextInput].step <= this.state.stepCount) {
+      const input = inputs[this.nextInput];
+      if (input.hint) {
+        this.state.useHint();
+      } else if (input.restartWord) {
+        this.state.restartWord();
       } else {
-        // ---- Wrong pick (out of order OR truly not in the word) ----
-        this.flash(false);
-        this.snake.shrink();
-        this.updateScoreDisplay();
-        if (this.snake.segments.length === 0) {
-          this.gameOver();
-          return;
-        }
-        
-        // If the letter is actually part of the word (just out of order),
-        // re-spawn it so the player can still collect it correctly later.
-        if (wordNeeded.includes(letterObj.letter)) {
-          this.spawnLetter(letterObj.letter);
-        }
+        this.state.setDirection(input.dx, input.dy);
       }
+      this.nextInput++;
     }
   }
-  
-  loadNewWord() {
-    // Pick a random word for our current level
-    const random = new Phaser.Math.RandomDataGenerator();
-    this.currentWord = getRandomWordForLevel(this.level, random);
-  
-    // Reset spelled letters
-    this.spelledLetters = '';
-  
-    // Display new primary word, clear spelled text
-    this.primaryWordText.setText(this.currentWord.primary);
-    this.spelledWordText.setText('');
-  
-    // Remove leftover letters from the previous word
-    this.removeAllLetters();
-  
-    // Place letters for the entire newLang word
-    this.placeLetters();
+
+  createRecorder() {
+    return null;
   }
 
-  removeAllLetters() {
-    // Remove any existing letters
-    this.lettersOnField.forEach(letterObj => {
-      if (letterObj.letterRect) {
-        letterObj.letterRect.destroy();
-      }
-      if (letterObj.letterText) {
-        letterObj.letterText.destroy();
+  // Input comes from the recording
+  handleInput() {}
+
+  showsDpad() {
+    return false;
+  }
+
+  learnFrom() {}
+
+  gameOver() {
+    this.endReplay();
+  }
+
+  endReplay() {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+    const result = this.replay.result;
+    this.add.text(
+      this.scale.width / 2,
+      this.scale.height / 2,
+      `End of replay\n${result.wordsCompleted} words, longest snake ${result.bestLength}\n\n` +
+      'SPACE: watch again   ESC: back',
+      { fontSize: px(24), fill: theme().text, backgroundColor: theme().background, align: 'center' }
+    ).setOrigin(0.5).setPadding(12);
+  }
+}
+
+
+/**
+ * VersusScene:
+ * Two players on one keyboard (see versus.js): player 1 steers with the
+ * arrow keys (or the first gamepad), player 2 with W A S D (or the
+ * second); on a touch screen, swipes on the right half steer player 1
+ * and on the left half player 2.
+ * Nothing is recorded or learned from these games.
+ */
+class VersusScene extends GameScene {
+  constructor() {
+    super('VersusScene');
+  }
+
+  create(data) {
+    this.finished = false;
+    this.playerTexts = null;
+    super.create(data);
+
+    this.hintButton.setVisible(false);
+    this.scoreText.setVisible(false);
+    this.rivalView = new SnakeView(this, 'rival');
+
+    // Each player's HUD on their side: player 1 right, player 2 left
+    this.playerTexts = [
+      this.add.text(this.scale.width - 10, this.scale.height - 10, '', { fontSize: px(18), align: 'right' })
+        .setOrigin(1, 1),
+      this.add.text(10, this.scale.height - 10, '', { fontSize: px(18) }).setOrigin(0, 1),
+    ];
+    this.applySettings();
+  }
+
+  createState(options) {
+    return new VersusState(options);
+  }
+
+  createRecorder() {
+    return null;
+  }
+
+  learnFrom() {}
+
+  update(time, delta) {
+    if (this.finished) {
+      return;
+    }
+    if (this.pauseKeyPressed()) {
+      this.togglePause();
+      return;
+    }
+    if (this.pauseMenu) {
+      this.handlePauseMenuPad();
+    }
+    if (this.paused) {
+      return;
+    }
+    this.handleInput();
+    this.advance(delta);
+    if (this.handleStateEvents()) {
+      this.render();
+    }
+  }
+
+  // There is no word of one's own to restart
+  pauseMenuItems() {
+    return super.pauseMenuItems().filter(item => item.label !== 'Restart word');
+  }
+
+  quit() {
+    this.scene.start('BootScene');
+  }
+
+  handleInput() {
+    [this.cursors, this.wasd].forEach((keys, player) => {
+      pressedDirections(keys).forEach(direction => this.state.setDirection(...TURNS[direction], player));
+      const padDirection = padTurn(this, player);
+      if (padDirection) {
+        this.state.setDirection(...TURNS[padDirection], player);
       }
     });
-    this.lettersOnField = [];    
+
+    this.touchTurns.splice(0).forEach(({ direction, x }) => {
+      const player = x < this.scale.width / 2 ? 1 : 0;
+      this.state.setDirection(...TURNS[direction], player);
+    });
   }
-    
-  placeLetters() {
-    // Remove any letters currently on the field
-    this.removeAllLetters();
-  
-    // 1) Place each letter from the entire newLang word
-    //    (so if newLang = "hello", we place 'h','e','l','l','o')
-    const newLangWord = this.currentWord.newLang;
-    for (let i = 0; i < newLangWord.length; i++) {
-      const letter = newLangWord[i];
-      this.spawnLetter(letter);
+
+  showsDpad() {
+    return false;
+  }
+
+  applySettings() {
+    super.applySettings();
+    if (this.playerTexts) {
+      this.rivalView.recolor();
+      this.playerTexts[0].setFontSize(px(18)).setColor(cssColor(theme().snakeHead));
+      this.playerTexts[1].setFontSize(px(18)).setColor(cssColor(theme().rivalHead));
+      this.render();
     }
-  
-    // 2) Place extra (wrong) letters
-    const extraCount = getNumberOfExtraLetters(this.level);
-    const possibleLetters = 'abcdefghijklmnopqrstuvwxyz';
-  
-    for (let i = 0; i < extraCount; i++) {
-      let randLetter = Phaser.Utils.Array.GetRandom(possibleLetters.split(''));
-      this.spawnLetter(randLetter);
+  }
+
+  render() {
+    super.render();
+    if (!this.playerTexts) {
+      return; // still in GameScene.create()
     }
+    this.rivalView.sync(this.state.players[1].snake);
+    const keys = ['arrows', 'W A S D'];
+    this.state.players.forEach((player, i) => {
+      this.playerTexts[i].setText(
+        `Player ${i + 1} (${keys[i]})  ${player.wordsWon}/${VERSUS_WORDS} words\n` +
+        `${player.spelledLetters || '…'}  ·  length ${player.snake.segments.length}`
+      );
+    });
   }
-  
-  spawnLetter(letter) {
-    const maxAttempts = 100; // avoid infinite loops
-    for (let i = 0; i < maxAttempts; i++) {
-      // Random position snapped to SEGMENT_SIZE
-      let randX = Phaser.Math.Between(this.room.x, this.room.x + this.room.width - SEGMENT_SIZE);
-      let randY = Phaser.Math.Between(this.room.y, this.room.y + this.room.height - SEGMENT_SIZE);
-      randX = Phaser.Math.Snap.Floor(randX, SEGMENT_SIZE);
-      randY = Phaser.Math.Snap.Floor(randY, SEGMENT_SIZE);
-      
-      // Candidate rectangle for our letter
-      let candidateRect = new Phaser.Geom.Rectangle(randX, randY, SEGMENT_SIZE, SEGMENT_SIZE);
-  
-      // Check collision with existing letters
-      let overlaps = false;
-      for (let existing of this.lettersOnField) {
-        let existingBounds = existing.letterRect.getBounds();
-        if (Phaser.Geom.Intersects.RectangleToRectangle(candidateRect, existingBounds)) {
-          overlaps = true;
-          break;
+
+  describeSpelled() {
+    return '';
+  }
+
+  describeLevel() {
+    return `Two players · first to ${VERSUS_WORDS} words`;
+  }
+
+  showFinishedWord(event) {
+    super.showFinishedWord(event, `Player ${event.player + 1}: `);
+  }
+
+  announceLetter(event) {
+    const spelled = spellOut(this.state.players[event.player].spelledLetters) || 'nothing yet';
+    announce(`Player ${event.player + 1} ${event.type === 'correct' ? 'right' : 'wrong'}: ${event.letter}. Spelled: ${spelled}`);
+  }
+
+  /**
+   * The winner screen; SPACE plays again, ESC goes back to the title
+   */
+  gameOver() {
+    this.finished = true;
+    const state = this.state;
+    const loser = state.winner === null ? null : 1 - state.winner;
+    const reasons = {
+      words: `spelled ${VERSUS_WORDS} words first`,
+      wall: loser === null ? 'both snakes hit the wall' : `Player ${loser + 1} hit the wall`,
+      empty: `Player ${loser + 1} ran out of segments`,
+    };
+    const title = state.winner === null ? 'Draw!' : `Player ${state.winner + 1} wins!`;
+    announce(`Game over. ${title}`);
+    const results = state.players
+      .map((player, i) => `Player ${i + 1}: ${player.wordsWon} words, longest snake ${player.bestLength}`)
+      .join('\n');
+
+    const width = this.scale.width;
+    const height = this.scale.height;
+    const winnerColor = state.winner === 1 ? theme().rivalHead : theme().snakeHead;
+    this.add.rectangle(0, 0, width, height, themeColor(theme().background), 0.7).setOrigin(0);
+    this.add.text(width / 2, height / 2 - 60, title, {
+      fontSize: px(48),
+      fill: state.winner === null ? theme().accent : cssColor(winnerColor),
+    }).setOrigin(0.5);
+    this.add.text(width / 2, height / 2, `${reasons[state.overReason]}\n\n${results}\n\nSPACE: play again   ESC: back`, {
+      fontSize: px(20),
+      fill: theme().text,
+      align: 'center',
+    }).setOrigin(0.5, 0);
+
+    this.input.keyboard.once('keydown-SPACE', () => this.scene.restart(this.startData));
+    this.input.keyboard.once('keydown-ESC', () => this.scene.start('BootScene'));
+    this.input.once('pointerdown', () => this.scene.restart(this.startData));
+  }
+}
+
+
+/**
+ * OnlineLobbyScene:
+ * Creates a room for an online game (with the word list and settings
+ * chosen on the title screen) or joins one by its code, and shows who
+ * is in it until the host starts the game (see online.js, server/).
+ */
+class OnlineLobbyScene extends Phaser.Scene {
+  constructor() {
+    super('OnlineLobbyScene');
+  }
+
+  /**
+   * data: { wordList, settings } from the title screen; coming back from
+   * a game also { client, lobby } to stay in the room
+   */
+  create(data) {
+    this.startData = data;
+    this.lobby = data.lobby || null;
+    this.buttons = [];
+    this.cameras.main.setBackgroundColor(theme().background);
+
+    this.add.text(this.scale.width / 2, 40, 'Play online', { fontSize: px(32), fill: theme().text }).setOrigin(0.5);
+    this.statusText = this.add.text(this.scale.width / 2, 90, '', {
+      fontSize: px(16),
+      fill: theme().warning,
+      align: 'center',
+    }).setOrigin(0.5, 0);
+    this.lobbyText = this.add.text(this.scale.width / 2, this.scale.height / 2, '', {
+      fontSize: px(20),
+      fill: theme().text,
+      align: 'center',
+    }).setOrigin(0.5);
+
+    // A tab that was in a room (e.g. before a reload) goes back to it
+    this.client = data.client || new OnlineClient(getServerUrl(window.location));
+    this.client.handlers = {
+      onMessage: (message) => this.onMessage(message),
+      onStatus: (status) => this.onStatus(status),
+    };
+    if (!data.client) {
+      this.client.connect();
+    }
+    this.input.keyboard.once('keydown-ESC', () => this.leave());
+    this.showLobby();
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'lobby':
+        this.lobby = message;
+        this.statusText.setText('');
+        this.showLobby();
+        break;
+      case 'started':
+        this.scene.start('OnlineGameScene', { ...this.startData, client: this.client, lobby: this.lobby, started: message });
+        break;
+      case 'error':
+        this.statusText.setText(message.message);
+        if (!this.client.session) {
+          this.lobby = null;
+          this.showLobby();
         }
-      }
-  
-      // If no overlap, place the new letter here
-      if (!overlaps) {
-        let letterRect = this.add.rectangle(randX, randY, SEGMENT_SIZE, SEGMENT_SIZE, 0xffffff).setOrigin(0);
-        let letterText = this.add.text(
-          randX + SEGMENT_SIZE/2,
-          randY + SEGMENT_SIZE/2,
-          letter,
-          {
-            fontSize: '18px',
-            color: '#000000',
-            fontFamily: 'sans-serif'
-          }
-        ).setOrigin(0.5);
-  
-        this.lettersOnField.push({
-          letterRect: letterRect,
-          letterText: letterText,
-          letter: letter
-        });
-  
-        // Done placing, so exit the function
-        return;
-      }
+        break;
     }
-  
-    // If we exhaust maxAttempts, we’ll just place it anyway (rare corner case)
-    console.warn('Could not find non-overlapping position, placing anyway.');
-    // Fallback if needed:
-    let letterRect = this.add.rectangle(this.room.x, this.room.y, SEGMENT_SIZE, SEGMENT_SIZE, 0xffffff).setOrigin(0);
-    let letterText = this.add.text(
-      this.room.x + SEGMENT_SIZE/2,
-      this.room.y + SEGMENT_SIZE/2,
-      letter,
-      {
-        fontSize: '18px',
-        color: '#000000',
-        fontFamily: 'sans-serif'
-      }
-    ).setOrigin(0.5);
-  
-    this.lettersOnField.push({
-      letterRect: letterRect,
-      letterText: letterText,
-      letter: letter
+  }
+
+  onStatus(status) {
+    const texts = {
+      connecting: `Connecting to ${this.client.url}…`,
+      reconnecting: 'The connection was lost, trying again…',
+      open: '',
+      closed: '',
+    };
+    this.statusText.setText(texts[status]);
+  }
+
+  /**
+   * The room's code and players, or how to get into one
+   */
+  showLobby() {
+    this.buttons.forEach(button => button.destroy());
+    const lobby = this.lobby;
+    if (!lobby) {
+      this.lobbyText.setText('Create a room and tell the others its code,\nor join a room with the code you were given.');
+      this.buttons = createButtonRow(this, this.scale.height - 60, [
+        ...(this.startData.wordList ? [{ label: 'Create room', onClick: () => this.createRoom() }] : []),
+        { label: 'Join room', onClick: () => this.joinRoom() },
+        { label: 'Back', onClick: () => this.leave() },
+      ]);
+      return;
+    }
+    const lines = lobby.players.map(player => {
+      const notes = [player.host ? 'host' : '', player.connected ? '' : 'reconnecting…'].filter(Boolean);
+      return notes.length > 0 ? `${player.name} (${notes.join(', ')})` : player.name;
     });
+    const isHost = lobby.players[0]?.id === this.client.playerId;
+    this.lobbyText.setText(
+      `Room code: ${lobby.code}\nWord list: ${lobby.wordListName}\n\n${lines.join('\n')}\n\n` +
+      (isHost ? 'Start when everyone is in' : 'Waiting for the host to start…')
+    );
+    this.buttons = createButtonRow(this, this.scale.height - 60, [
+      ...(isHost ? [{ label: 'Start', onClick: () => this.client.send({ type: 'start' }) }] : []),
+      { label: 'Leave', onClick: () => this.leave() },
+    ]);
   }
 
-  flash(good) {
-    if (good) {
-      this.cameras.main.setBackgroundColor('#00ff00');
-      this.time.delayedCall(100, () => {
-        this.cameras.main.setBackgroundColor('#000000');
-      });
-    } else {
-      this.cameras.main.setBackgroundColor('#ff0000');
-      this.time.delayedCall(100, () => {
-        this.cameras.main.setBackgroundColor('#000000');
-      });
+  createRoom() {
+    const { wordList, settings } = this.startData;
+    this.client.send({
+      type: 'create',
+      name: loadPlayerName() || getCurrentProfile().name,
+      wordList: {
+        name: wordList.name,
+        primaryLang: wordList.primaryLang,
+        newLang: wordList.newLang,
+        words: wordList.words,
+      },
+      settings,
+    });
+  }
+
+  joinRoom() {
+    const code = window.prompt('Room code:');
+    if (code && code.trim()) {
+      this.client.send({ type: 'join', code: code.trim().toUpperCase(), name: loadPlayerName() || getCurrentProfile().name });
     }
   }
 
-  gameOver() {
-    // Retrieve existing leaderboard
-    let stored = localStorage.getItem('wordSnakeLeaderboard');
-    let leaderboard = stored ? JSON.parse(stored) : [];
-  
-    // Insert this game’s best length
-    leaderboard.push(this.bestThisGame);
-  
-    // Sort descending
-    leaderboard.sort((a, b) => b - a);
-  
-    // Keep top 5
-    leaderboard = leaderboard.slice(0, 5);
-  
-    // Save back to localStorage
-    localStorage.setItem('wordSnakeLeaderboard', JSON.stringify(leaderboard));
-  
-    // Then go back to BootScene
+  leave() {
+    this.client.close();
     this.scene.start('BootScene');
   }
+}
+
+
+/**
+ * OnlineGameScene:
+ * Draws an online game as the server sends it (see online.js) and sends
+ * the player's turns. The server's room is scaled to fit the screen.
+ */
+class OnlineGameScene extends Phaser.Scene {
+  constructor() {
+    super('OnlineGameScene');
+  }
+
+  /**
+   * data: what OnlineLobbyScene had, and the server's 'started' message
+   */
+  create(data) {
+    this.startData = data;
+    this.client = data.client;
+    this.lobby = data.lobby;
+    this.you = data.started.you;
+    this.names = data.started.players;
+    this.area = data.started.room;
+    this.buffer = new SnapshotBuffer();
+    this.result = null;  // the 'over' message
+    this.client.handlers = {
+      onMessage: (message) => this.onMessage(message),
+      onStatus: (status) => this.onStatus(status),
+    };
+    this.cameras.main.setBackgroundColor(theme().background);
 
-  setupTouchControls() {
-    this.swipeDirection = null;
-    let swipeCoordX, swipeCoordY, swipeCoordX2, swipeCoordY2;
-    const swipeMinDistance = 20;
+    // The room, snakes and letters, scaled between the word and the players
+    const top = 50;
+    const bottom = 70;
+    const scale = Math.min(this.scale.width / this.area.width, (this.scale.height - top - bottom) / this.area.height);
+    this.field = this.add.container((this.scale.width - this.area.width * scale) / 2, top).setScale(scale);
+    this.roomGraphics = this.add.graphics();
+    this.field.add(this.roomGraphics);
+    this.snakeViews = this.names.map((_, i) => new SnakeView(this, SNAKE_COLORS[i], this.field));
+    this.letterViews = new Map();
 
-    this.input.on('pointerdown', (pointer) => {
-      swipeCoordX = pointer.downX;
-      swipeCoordY = pointer.downY;
+    this.statusText = this.add.text(10, 10, `Room ${this.lobby ? this.lobby.code : ''}`, {
+      fontSize: px(16),
+      fill: theme().text,
     });
-    this.input.on('pointerup', (pointer) => {
-      swipeCoordX2 = pointer.upX;
-      swipeCoordY2 = pointer.upY;
+    this.promptText = this.add.text(this.scale.width / 2, 10, '', { fontSize: px(24), fill: theme().text })
+      .setOrigin(0.5, 0);
+    this.wordText = this.add.text(this.scale.width - 10, 10, '', { fontSize: px(16), fill: theme().accent })
+      .setOrigin(1, 0);
+    this.feedbackText = this.add.text(0, 6, '', { fontSize: px(28) });
+    this.feedbackTimer = null;
+    // One line per player along the bottom, in their snake's color
+    const columnWidth = this.scale.width / this.names.length;
+    this.playerTexts = this.names.map((_, i) => this.add.text(columnWidth * (i + 0.5), this.scale.height - 10, '', {
+      fontSize: px(16),
+      fill: cssColor(theme()[`${SNAKE_COLORS[i]}Head`]),
+      align: 'center',
+    }).setOrigin(0.5, 1));
+
+    setupControls(this);
+    updateDpad(this, prefs.dpad);
+    this.input.keyboard.once('keydown-ESC', () => this.leave());
+  }
+
+  onMessage(message) {
+    switch (message.type) {
+      case 'state':
+        this.buffer.push(message, performance.now());
+        message.events.forEach(event => this.handleEvent(event, message));
+        break;
+      case 'over':
+        this.showResult(message);
+        break;
+      case 'lobby':
+        this.lobby = message;
+        break;
+      case 'started':
+        // Back after a lost connection
+        this.scene.restart({ ...this.startData, lobby: this.lobby, started: message });
+        break;
+      case 'error':
+        this.statusText.setText(message.message);
+        break;
+    }
+  }
 
-      let deltaX = swipeCoordX2 - swipeCoordX;
-      let deltaY = swipeCoordY2 - swipeCoordY;
+  onStatus(status) {
+    const code = this.lobby ? this.lobby.code : '';
+    this.statusText.setText(status === 'reconnecting' ? 'Connection lost, reconnecting…' : `Room ${code}`);
+  }
 
-      if (Math.abs(deltaX) > Math.abs(deltaY)) {
-        if (Math.abs(deltaX) > swipeMinDistance) {
-          this.swipeDirection = (deltaX > 0) ? 'right' : 'left';
+  /**
+   * Sounds and messages for what happened (in the state sent with it);
+   * only your own letters are heard
+   */
+  handleEvent(event, snapshot) {
+    const mine = event.player === this.you;
+    switch (event.type) {
+      case 'newWord':
+        announce(`New word: ${event.prompt}`);
+        break;
+      case 'correct':
+      case 'wrong':
+        if (mine) {
+          const good = event.type === 'correct';
+          this.flash(good);
+          playSound(event.type, sfxVolume());
+          const spelled = spellOut(snapshot.players[this.you].spelled) || 'nothing yet';
+          announce(`${good ? 'Right' : 'Wrong'}: ${event.letter}. Spelled: ${spelled}`);
         }
-      } else {
-        if (Math.abs(deltaY) > swipeMinDistance) {
-          this.swipeDirection = (deltaY > 0) ? 'down' : 'up';
+        break;
+      case 'wordCompleted':
+        this.wordText.setText(`${this.names[event.player]}: ✓ ${event.answer}`);
+        if (mine && prefs.speakWords) {
+          speak(event.answer, event.answerLang);
         }
+        announce(`${mine ? 'You' : this.names[event.player]} spelled ${event.answer}`);
+        break;
+      case 'out':
+        if (mine) {
+          this.statusText.setText('You are out, watch the others');
+        }
+        break;
+    }
+  }
+
+  update() {
+    if (!this.result) {
+      this.handleInput();
+    }
+    const snapshot = this.buffer.sample(performance.now());
+    if (snapshot) {
+      this.render(snapshot, this.buffer.latest);
+    }
+  }
+
+  // Every turn goes to the server, which queues them (see Snake.setDirection() in core.js)
+  handleInput() {
+    const directions = steeringKeys(this).flatMap(keys => pressedDirections(keys));
+    const padDirection = padTurn(this, 0);
+    if (padDirection) {
+      directions.push(padDirection);
+    }
+    directions.push(...this.touchTurns.splice(0).map(turn => turn.direction));
+    directions.forEach(direction => {
+      const [dx, dy] = TURNS[direction];
+      this.client.send({ type: 'turn', dx, dy });
+    });
+  }
+
+  /**
+   * Draws the snakes where they were in between states; the letters
+   * and texts as they are now
+   */
+  render(snapshot, latest) {
+    this.roomGraphics.clear();
+    this.roomGraphics.fillStyle(theme().room, 1);
+    this.roomGraphics.fillRect(this.area.x, this.area.y, this.area.width, this.area.height);
+
+    snapshot.players.forEach((player, i) => {
+      this.snakeViews[i].sync(player.out ? { segments: [] } : player);
+    });
+    this.renderLetters(latest.letters);
+    this.promptText.setText(latest.prompt);
+    latest.players.forEach((player, i) => {
+      const notes = [player.out ? 'out' : '', player.connected ? '' : 'reconnecting…'].filter(Boolean);
+      this.playerTexts[i].setText(
+        `${i === this.you ? '▶ ' : ''}${this.names[i]}  ${player.wordsWon}/${VERSUS_WORDS}` +
+        `${notes.length > 0 ? `  (${notes.join(', ')})` : ''}\n${player.spelled || '…'}`
+      );
+    });
+  }
+
+  renderLetters(letters) {
+    const ids = new Set(letters.map(letterObj => letterObj.id));
+    this.letterViews.forEach((view, id) => {
+      if (!ids.has(id)) {
+        view.letterRect.destroy();
+        view.letterText.destroy();
+        this.letterViews.delete(id);
       }
     });
+    letters.forEach(letterObj => {
+      if (!this.letterViews.has(letterObj.id)) {
+        const view = addLetterTile(this, letterObj);
+        this.field.add([view.letterRect, view.letterText]);
+        this.letterViews.set(letterObj.id, view);
+      }
+    });
+  }
+
+  // Like GameScene.flash(), next to the word to translate
+  flash(good) {
+    this.feedbackText.x = this.promptText.x + this.promptText.displayWidth / 2 + 12;
+    this.feedbackText.setText(good ? '✓' : '✗').setColor(good ? theme().good : theme().bad);
+    if (this.feedbackTimer) {
+      this.feedbackTimer.remove();
+    }
+    this.feedbackTimer = this.time.delayedCall(600, () => this.feedbackText.setText(''));
+    if (prefs.reducedMotion) {
+      return;
+    }
+    this.cameras.main.setBackgroundColor(good ? theme().good : theme().bad);
+    this.time.delayedCall(100, () => {
+      this.cameras.main.setBackgroundColor(theme().background);
+    });
+  }
+
+  /**
+   * Who won; SPACE goes back to the room, ESC leaves it
+   */
+  showResult(result) {
+    this.result = result;
+    const winner = result.winner === null ? null : result.players[result.winner];
+    const reasons = {
+      words: `spelled ${VERSUS_WORDS} words first`,
+      wall: 'the others hit the wall',
+      empty: 'the others ran out of segments',
+      left: 'the others left',
+    };
+    const title = winner ? `${winner.name} wins!` : 'Draw!';
+    announce(`Game over. ${title}`);
+    const lines = result.players.map(p => `${p.name}: ${p.wordsWon} words, longest snake ${p.bestLength}`);
+
+    const width = this.scale.width;
+    const height = this.scale.height;
+    this.add.rectangle(0, 0, width, height, themeColor(theme().background), 0.7).setOrigin(0);
+    this.add.text(width / 2, height / 2 - 60, title, {
+      fontSize: px(48),
+      fill: winner ? cssColor(theme()[`${SNAKE_COLORS[result.winner]}Head`]) : theme().accent,
+    }).setOrigin(0.5);
+    const reason = winner ? reasons[result.reason] : 'nobody is left';
+    this.add.text(width / 2, height / 2, `${reason}\n\n${lines.join('\n')}\n\nSPACE: back to the room   ESC: leave`, {
+      fontSize: px(20),
+      fill: theme().text,
+      align: 'center',
+    }).setOrigin(0.5, 0);
+
+    const backToRoom = () => this.scene.start('OnlineLobbyScene', { ...this.startData, lobby: this.lobby });
+    this.input.keyboard.once('keydown-SPACE', backToRoom);
+    this.input.once('pointerdown', backToRoom);
+  }
+
+  leave() {
+    this.client.close();
+    this.scene.start('BootScene');
   }
 }
 
@@ -800,15 +3173,21 @@ class GameScene extends Phaser.Scene {
  */
 const config = {
   type: Phaser.AUTO,
-  backgroundColor: '#000000',
-  scene: [BootScene, GameScene],
+  backgroundColor: theme().background,
+  scene: [
+    BootScene, WordListEditorScene, StatsScene, LeaderboardScene, ReplaysScene, ProfilesScene, SettingsScene,
+    KeysScene, GameScene, ReplayScene, VersusScene, OnlineLobbyScene, OnlineGameScene,
+  ],
   scale: {
     mode: Phaser.Scale.FIT,
     autoCenter: Phaser.Scale.CENTER_BOTH,
-    width: window.innerWidth,
-    height: window.innerHeight,
+    width: WINDOW_SIZE.width,
+    height: WINDOW_SIZE.height,
     parent: 'game-container',
   },
+  input: {
+    gamepad: true,
+  },
   render: {
     pixelArt: true,
     antialias: false,
@@ -823,3 +3202,7 @@ const config = {
 };
 
 const game = new Phaser.Game(config);
+
+if (window.APP_VERSION) {
+  registerServiceWorker(window.APP_VERSION);
+}
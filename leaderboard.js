@@ -0,0 +1,138 @@
+/*******************************************************************
+ * leaderboard.js
+ * The score of every game, kept in localStorage:
+ *    { name, date, mode, wordListId, wordListName, words, accuracy, maxLength, score }
+ * date is a timestamp, words the words spelled, accuracy the share of
+ * letters taken right (null if none were taken) and score what the
+ * game's mode ranks by (see GameState.score in core.js): words spelled
+ * in time attack, the longest snake otherwise.
+ *
+ * The leaderboards are views of these scores, filtered by mode and word
+ * list and sorted by any of SORT_FIELDS (see queryScores()).
+ *
+ * Scores used to be bare numbers, one list per mode; they are moved over
+ * the first time the scores are loaded, with null for what wasn't kept.
+ *******************************************************************/
+
+import { LEADERBOARD_SIZE } from './core.js';
+import { storage } from './profiles.js';
+
+const SCORES_KEY = 'wordSnakeScores';
+const NAME_KEY = 'wordSnakePlayerName';
+const MAX_SCORES_PER_MODE = 100;
+
+// Where the number-only leaderboards were kept
+const LEGACY_KEYS = {
+  classic: 'wordSnakeLeaderboard',
+  timeAttack: 'wordSnakeLeaderboardTimeAttack',
+  zen: 'wordSnakeLeaderboardZen',
+  survival: 'wordSnakeLeaderboardSurvival',
+};
+
+// What a leaderboard can be sorted by (always the highest/newest first)
+export const SORT_FIELDS = {
+  score: 'score',
+  date: 'date',
+  words: 'words',
+  accuracy: 'accuracy',
+  maxLength: 'longest snake',
+};
+
+/**
+ * Turns the old leaderboards, { mode: [number] }, into scores
+ */
+export function migrateScores(legacy) {
+  return Object.entries(legacy).flatMap(([mode, numbers]) => numbers
+    .filter(number => Number.isFinite(number))
+    .map(number => ({
+      name: '',
+      date: null,
+      mode,
+      wordListId: null,
+      wordListName: '',
+      words: mode === 'timeAttack' ? number : null,
+      accuracy: null,
+      maxLength: mode === 'timeAttack' ? null : number,
+      score: number,
+    })));
+}
+
+/**
+ * The scores that match the filters, sorted.
+ * options: { mode, wordListId (null for all), sortBy (a key of SORT_FIELDS), limit }
+ * Scores without the sorted value come last.
+ */
+export function queryScores(scores, options = {}) {
+  const { mode = null, wordListId = null, sortBy = 'score', limit = LEADERBOARD_SIZE } = options;
+  const value = entry => entry[sortBy] ?? -Infinity;
+  return scores
+    .filter(entry => (!mode || entry.mode === mode) && (!wordListId || entry.wordListId === wordListId))
+    .sort((a, b) => value(b) - value(a) || b.score - a.score)
+    .slice(0, limit);
+}
+
+function readStoredList(key) {
+  try {
+    const list = JSON.parse(storage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    console.error(`Stored scores (${key}) are damaged:`, err);
+    return [];
+  }
+}
+
+// Keeps the best scores of every mode
+function saveScores(scores) {
+  const modes = [...new Set(scores.map(entry => entry.mode))];
+  const kept = modes.flatMap(mode => queryScores(scores, { mode, limit: MAX_SCORES_PER_MODE }));
+  storage.setItem(SCORES_KEY, JSON.stringify(kept));
+}
+
+/**
+ * All kept scores (moving the old leaderboards over first)
+ */
+export function loadScores() {
+  let scores = readStoredList(SCORES_KEY);
+  const legacy = {};
+  Object.entries(LEGACY_KEYS).forEach(([mode, key]) => {
+    if (storage.getItem(key) !== null) {
+      legacy[mode] = readStoredList(key);
+    }
+  });
+  if (Object.keys(legacy).length > 0) {
+    scores = [...scores, ...migrateScores(legacy)];
+    saveScores(scores);
+    Object.values(LEGACY_KEYS).forEach(key => storage.removeItem(key));
+  }
+  return scores;
+}
+
+/**
+ * Keeps a game's score. Returns its place on its mode's leaderboard
+ * (1 is the best), or null if it didn't make it.
+ */
+export function recordScore(entry) {
+  const scores = [...loadScores(), entry];
+  saveScores(scores);
+  const index = queryScores(scores, { mode: entry.mode }).indexOf(entry);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * True if the score would make it onto its mode's leaderboard
+ */
+export function isHighScore(mode, score) {
+  const best = queryScores(loadScores(), { mode });
+  return best.length < LEADERBOARD_SIZE || score > best[best.length - 1].score;
+}
+
+/**
+ * The name last entered for a high score
+ */
+export function loadPlayerName() {
+  return storage.getItem(NAME_KEY) || '';
+}
+
+export function savePlayerName(name) {
+  storage.setItem(NAME_KEY, name);
+}
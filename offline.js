@@ -0,0 +1,42 @@
+/*******************************************************************
+ * offline.js
+ * Playing without a connection. The service worker (sw.js) keeps the
+ * game's files, Phaser (vendor/) and the built-in word lists; the
+ * player's own word lists are kept in localStorage (see wordlists.js).
+ * This module tells whether the device is online (for the indicator on
+ * the title screen) and asks the browser not to throw the saved data
+ * away when space runs low.
+ *******************************************************************/
+
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Calls listener(online) when the connection comes or goes.
+ * Returns a function that stops it.
+ */
+export function onConnectionChange(listener) {
+  const online = () => listener(true);
+  const offline = () => listener(false);
+  window.addEventListener('online', online);
+  window.addEventListener('offline', offline);
+  return () => {
+    window.removeEventListener('online', online);
+    window.removeEventListener('offline', offline);
+  };
+}
+
+let persistRequested = false;
+
+/**
+ * Asks for persistent storage, so saved word lists (and the cached
+ * game) survive the browser clearing space. Asked once per visit.
+ */
+export function keepStorage() {
+  if (persistRequested || typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+    return;
+  }
+  persistRequested = true;
+  navigator.storage.persist().catch(err => console.warn('Storage could not be made persistent:', err));
+}
@@ -0,0 +1,219 @@
+/*******************************************************************
+ * online.js
+ * The client side of online games (OnlineLobbyScene and OnlineGameScene
+ * in game.js). The server (server/) owns the game and sends its state
+ * about 20 times a second; see server/rooms.js for the messages.
+ *
+ * Snakes would jump from one state to the next, so the game is drawn
+ * RENDER_DELAY_MS in the past, between the two states around that time
+ * (see SnapshotBuffer).
+ *******************************************************************/
+
+export const RENDER_DELAY_MS = 100;
+export const RECONNECT_MS = 500;        // first wait before reconnecting, doubled every try
+export const MAX_RECONNECT_MS = 8000;
+const SESSION_KEY = 'wordSnakeOnlineSession';
+
+/**
+ * Where the server is: ?server=ws://host:port in the page address,
+ * otherwise port 8080 on the machine the game came from
+ */
+export function getServerUrl(location) {
+  const param = new URLSearchParams(location.search).get('server');
+  if (param) {
+    return param;
+  }
+  const protocol = location.protocol === 'https:' ? 'wss' : 'ws';
+  return `${protocol}://${location.hostname || 'localhost'}:8080`;
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * The state at renderTime (game time, ms), from states sorted by time.
+ * Segments are moved part of the way from the earlier state to the
+ * later one; everything else is the earlier state's. Before the first
+ * state, or after the last, that state is returned as it is.
+ */
+export function interpolateSnapshots(snapshots, renderTime) {
+  if (snapshots.length === 0) {
+    return null;
+  }
+  const laterIndex = snapshots.findIndex(s => s.time > renderTime);
+  if (laterIndex === -1) {
+    return snapshots[snapshots.length - 1];
+  }
+  if (laterIndex === 0) {
+    return snapshots[0];
+  }
+  const a = snapshots[laterIndex - 1];
+  const b = snapshots[laterIndex];
+  const t = (renderTime - a.time) / (b.time - a.time);
+  return {
+    ...a,
+    time: renderTime,
+    players: a.players.map((player, i) => {
+      const next = b.players[i];
+      return {
+        ...player,
+        segments: player.segments.map((seg, j) => {
+          // A segment the later state doesn't have stays put
+          const to = next && next.segments[j];
+          return to ? { x: lerp(seg.x, to.x, t), y: lerp(seg.y, to.y, t) } : seg;
+        }),
+      };
+    }),
+  };
+}
+
+/**
+ * Keeps the latest states and picks what to draw
+ */
+export class SnapshotBuffer {
+  constructor(delay = RENDER_DELAY_MS) {
+    this.delay = delay;
+    this.snapshots = [];
+    // Local time minus game time; the smallest seen is the state that
+    // came the quickest, the best guess for when the server sent it
+    this.offset = null;
+  }
+
+  // A state from the server, received at local time now (ms)
+  push(snapshot, now) {
+    const offset = now - snapshot.time;
+    this.offset = this.offset === null ? offset : Math.min(this.offset, offset);
+    this.snapshots.push(snapshot);
+    // Keep one state before the time drawn, and the ones after it
+    const renderTime = now - this.offset - this.delay;
+    while (this.snapshots.length > 2 && this.snapshots[1].time <= renderTime) {
+      this.snapshots.shift();
+    }
+  }
+
+  // The state to draw at local time now, or null before the first one
+  sample(now) {
+    if (this.offset === null) {
+      return null;
+    }
+    return interpolateSnapshots(this.snapshots, now - this.offset - this.delay);
+  }
+
+  // The newest state (for what isn't drawn in between, like the word)
+  get latest() {
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+}
+
+/**
+ * The connection to the server. It reconnects by itself when the
+ * connection drops and rejoins the room it was in.
+ * handlers: { onMessage(message), onStatus('connecting' | 'open' | 'reconnecting' | 'closed') }
+ */
+export class OnlineClient {
+  constructor(url, handlers = {}) {
+    this.url = url;
+    this.handlers = handlers;
+    this.socket = null;
+    this.retries = 0;
+    this.retryTimer = null;
+    this.closed = false;
+    this.queue = [];        // sent while not connected
+    this.playerId = null;   // given by the server on joining
+  }
+
+  /**
+   * The room this tab is in, kept so a reload can go back to it:
+   * { code, token } or null
+   */
+  get session() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  set session(session) {
+    if (session) {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(SESSION_KEY);
+    }
+  }
+
+  connect() {
+    this.closed = false;
+    this.status(this.retries === 0 ? 'connecting' : 'reconnecting');
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.retries = 0;
+      this.status('open');
+      const session = this.session;
+      if (session) {
+        socket.send(JSON.stringify({ type: 'rejoin', ...session }));
+      }
+      this.queue.forEach(text => socket.send(text));
+      this.queue = [];
+    });
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        console.error('Bad message from the server:', err);
+        return;
+      }
+      if (message.type === 'joined') {
+        this.session = { code: message.code, token: message.token };
+        this.playerId = message.playerId;
+      } else if (message.type === 'error' && message.left) {
+        this.session = null;
+      }
+      this.handlers.onMessage?.(message);
+    });
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket || this.closed) {
+        return;
+      }
+      // Try again, waiting longer every time
+      const wait = Math.min(RECONNECT_MS * 2 ** this.retries, MAX_RECONNECT_MS);
+      this.retries++;
+      this.status('reconnecting');
+      this.retryTimer = setTimeout(() => this.connect(), wait);
+    });
+  }
+
+  status(status) {
+    this.handlers.onStatus?.(status);
+  }
+
+  send(message) {
+    const text = JSON.stringify(message);
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(text);
+    } else {
+      this.queue.push(text);
+    }
+  }
+
+  /**
+   * Leaves the room (if in one) and stops for good
+   */
+  close() {
+    if (this.session) {
+      this.send({ type: 'leave' });
+      this.session = null;
+    }
+    this.closed = true;
+    this.queue = [];
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      this.socket.close();
+    }
+    this.status('closed');
+  }
+}
@@ -0,0 +1,195 @@
+/*******************************************************************
+ * profiles.js
+ * Player profiles, for devices that are shared (e.g. in a classroom).
+ *
+ * Every profile has its own settings, word lists, statistics, scores,
+ * replays and so on: the other modules keep their data through `storage`
+ * below instead of localStorage, which puts the current profile's
+ * prefix in front of each key:
+ *    wordSnakeProfile-<id>:wordSnakeSettings
+ * Only the profile list and the current profile are stored as they are:
+ *    wordSnakeProfiles:       [{ id, name, created }]
+ *    wordSnakeCurrentProfile: id
+ *
+ * Data saved before there were profiles becomes the first profile's.
+ *
+ * A profile can be exported as a JSON file and imported on another
+ * device (ProfilesScene in game.js):
+ *    { version, name, exportedAt, data: { key: stored text } }
+ *******************************************************************/
+
+const PROFILES_KEY = 'wordSnakeProfiles';
+const CURRENT_KEY = 'wordSnakeCurrentProfile';
+const DEFAULT_NAME = 'Player 1';
+
+export const PROFILE_VERSION = 1;
+
+function prefixOf(id) {
+  return `wordSnakeProfile-${id}:`;
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// All localStorage keys starting with prefix
+function keysStartingWith(prefix) {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(prefix)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function saveProfiles(profiles) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * The first time: a profile for the data saved before there were profiles
+ */
+function createFirstProfile() {
+  const profile = { id: newId(), name: DEFAULT_NAME, created: Date.now() };
+  keysStartingWith('wordSnake')
+    .filter(key => key !== CURRENT_KEY && !key.startsWith('wordSnakeProfile'))
+    .forEach(key => {
+      localStorage.setItem(prefixOf(profile.id) + key, localStorage.getItem(key));
+      localStorage.removeItem(key);
+    });
+  saveProfiles([profile]);
+  localStorage.setItem(CURRENT_KEY, profile.id);
+  return [profile];
+}
+
+/**
+ * All profiles, oldest first (there is always at least one)
+ */
+export function loadProfiles() {
+  let profiles = null;
+  try {
+    profiles = JSON.parse(localStorage.getItem(PROFILES_KEY));
+  } catch (err) {
+    console.error('Stored profiles are damaged:', err);
+  }
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    return createFirstProfile();
+  }
+  return profiles;
+}
+
+export function getCurrentProfile() {
+  const profiles = loadProfiles();
+  const id = localStorage.getItem(CURRENT_KEY);
+  return profiles.find(profile => profile.id === id) || profiles[0];
+}
+
+export function selectProfile(id) {
+  localStorage.setItem(CURRENT_KEY, id);
+}
+
+/**
+ * Adds a profile (without selecting it)
+ */
+export function createProfile(name) {
+  const profile = { id: newId(), name, created: Date.now() };
+  saveProfiles([...loadProfiles(), profile]);
+  return profile;
+}
+
+/**
+ * Deletes a profile and everything stored for it.
+ * The last profile can't be deleted; returns false then.
+ */
+export function deleteProfile(id) {
+  const profiles = loadProfiles();
+  if (profiles.length <= 1) {
+    return false;
+  }
+  const remaining = profiles.filter(profile => profile.id !== id);
+  keysStartingWith(prefixOf(id)).forEach(key => localStorage.removeItem(key));
+  saveProfiles(remaining);
+  if (localStorage.getItem(CURRENT_KEY) === id) {
+    selectProfile(remaining[0].id);
+  }
+  return true;
+}
+
+/**
+ * A profile with all its data, for saving as a file
+ */
+export function exportProfile(id) {
+  const profile = loadProfiles().find(p => p.id === id);
+  const prefix = prefixOf(id);
+  const data = {};
+  keysStartingWith(prefix).forEach(key => {
+    data[key.slice(prefix.length)] = localStorage.getItem(key);
+  });
+  return { version: PROFILE_VERSION, name: profile.name, exportedAt: Date.now(), data };
+}
+
+/**
+ * Reads an exported profile from JSON text.
+ * Returns { profile } or { error } with a message for the player.
+ */
+export function parseProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (err) {
+    return { error: `Not a JSON file: ${err.message}` };
+  }
+  if (!profile || typeof profile !== 'object' || profile.version !== PROFILE_VERSION) {
+    return { error: 'Not a Word Snake profile (or from another version)' };
+  }
+  if (typeof profile.name !== 'string' || !profile.data || typeof profile.data !== 'object') {
+    return { error: 'The profile is damaged' };
+  }
+  const badValue = Object.values(profile.data).some(value => typeof value !== 'string');
+  if (badValue) {
+    return { error: 'The profile is damaged' };
+  }
+  return { profile };
+}
+
+/**
+ * Adds an exported profile as a new one; a name that is taken gets a
+ * number, e.g. "Anna (2)". Returns the new profile.
+ */
+export function importProfile(exported) {
+  const names = loadProfiles().map(profile => profile.name);
+  const base = exported.name || DEFAULT_NAME;
+  let name = base;
+  for (let n = 2; names.includes(name); n++) {
+    name = `${base} (${n})`;
+  }
+  const profile = createProfile(name);
+  Object.entries(exported.data).forEach(([key, value]) => {
+    localStorage.setItem(prefixOf(profile.id) + key, value);
+  });
+  return profile;
+}
+
+/**
+ * File name for exporting, e.g. "word-snake-profile-Anna.json"
+ */
+export function profileFileName(profile) {
+  return `word-snake-profile-${profile.name.replace(/[^\p{L}\p{N}_-]+/gu, '_')}.json`;
+}
+
+/**
+ * localStorage of the current profile
+ */
+export const storage = {
+  getItem(key) {
+    return localStorage.getItem(prefixOf(getCurrentProfile().id) + key);
+  },
+  setItem(key, value) {
+    localStorage.setItem(prefixOf(getCurrentProfile().id) + key, value);
+  },
+  removeItem(key) {
+    localStorage.removeItem(prefixOf(getCurrentProfile().id) + key);
+  },
+};
@@ -0,0 +1,213 @@
+/*******************************************************************
+ * replay.js
+ * Recording games so they can be watched again (ReplayScene in game.js).
+ *
+ * A replay holds everything needed to play the game again exactly:
+ *    {
+ *      version, recordedAt,
+ *      seed,                 the seed of the game's Random (rng.js)
+ *      settings:  { direction, spelling, movement, mode, level, room, speedScale, speedFactor, screen, daily },
+ *      wordList:  { id, name, primaryLang, newLang, words },
+ *      words:     [{ step, time, prompt, word }]   every word shown, in order
+ *      inputs:    [{ step, time, dx, dy, source }] every turn ('key', 'pad', 'swipe' or 'dpad')
+ *                 and [{ step, time, hint: true }] every hint
+ *                 and [{ step, time, restartWord: true }] every restarted word
+ *      result:    { reason, steps, time, bestLength, wordsCompleted }
+ *    }
+ * step is the number of GameState steps taken before the word/turn, time
+ * the game time in ms. Replaying feeds the inputs back at the same steps
+ * and the words in the same order (the scheduler that picked them may have
+ * changed since).
+ *
+ * The newest replays are kept in localStorage and can be exported and
+ * imported as JSON files, e.g. for a teacher to look at.
+ *******************************************************************/
+
+import { storage } from './profiles.js';
+
+const REPLAYS_KEY = 'wordSnakeReplays';
+const MAX_REPLAYS = 10;
+
+export const REPLAY_VERSION = 1;
+
+export class ReplayRecorder {
+  /**
+   * options: { seed, wordList, direction, spelling, movement, mode, level,
+   *            room, speedScale, speedFactor, screen: { width, height }, daily }
+   */
+  constructor(options) {
+    const list = options.wordList;
+    this.replay = {
+      version: REPLAY_VERSION,
+      recordedAt: Date.now(),
+      seed: options.seed,
+      settings: {
+        direction: options.direction,
+        spelling: options.spelling,
+        movement: options.movement,
+        mode: options.mode || 'classic',
+        level: options.level,
+        room: { ...options.room },
+        speedScale: options.speedScale,
+        speedFactor: options.speedFactor || 1,
+        screen: { ...options.screen },
+        daily: options.daily || null,
+      },
+      wordList: {
+        id: list.id || '',
+        name: list.name || '',
+        primaryLang: list.primaryLang || '',
+        newLang: list.newLang || '',
+        words: list.words,
+      },
+      words: [],
+      inputs: [],
+      result: null,
+    };
+  }
+
+  // A turn, applied before the state's next step
+  recordInput(state, dx, dy, source) {
+    this.replay.inputs.push({ step: state.stepCount, time: state.time, dx, dy, source });
+  }
+
+  // A hint taken (GameState.useHint() gave one)
+  recordHint(state) {
+    this.replay.inputs.push({ step: state.stepCount, time: state.time, hint: true });
+  }
+
+  // The word was started over (GameState.restartWord())
+  recordRestartWord(state) {
+    this.replay.inputs.push({ step: state.stepCount, time: state.time, restartWord: true });
+  }
+
+  // From a 'newWord' event
+  recordWord(state, event) {
+    this.replay.words.push({ step: state.stepCount, time: state.time, prompt: event.prompt, word: event.word });
+  }
+
+  /**
+   * Ends the recording; reason is why the game ended
+   * (the state's, or e.g. 'quit' when the player left)
+   */
+  finish(state, reason) {
+    this.replay.result = {
+      reason,
+      steps: state.stepCount,
+      time: state.time,
+      bestLength: state.bestLength,
+      wordsCompleted: state.wordsCompleted,
+    };
+    return this.replay;
+  }
+}
+
+/**
+ * Reads a replay from JSON text.
+ * Returns { replay } or { error } with a message for the player.
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (err) {
+    return { error: `Not a JSON file: ${err.message}` };
+  }
+  if (!replay || typeof replay !== 'object' || replay.version !== REPLAY_VERSION) {
+    return { error: 'Not a Word Snake replay (or from another version)' };
+  }
+  const missing = ['settings', 'wordList', 'words', 'inputs', 'result'].filter(field => !replay[field]);
+  if (missing.length > 0 || replay.seed === undefined) {
+    return { error: `The replay is incomplete (${missing.join(', ') || 'seed'} missing)` };
+  }
+  if (!Array.isArray(replay.words) || !Array.isArray(replay.inputs) || !Array.isArray(replay.wordList.words)) {
+    return { error: 'The replay is damaged' };
+  }
+  const damage = findDamage(replay);
+  if (damage) {
+    return { error: `The replay is damaged (${damage})` };
+  }
+  return { replay };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPositive = value => isNumber(value) && value > 0;
+const isStep = value => Number.isInteger(value) && value >= 0;
+const isObject = value => Boolean(value) && typeof value === 'object';
+
+// A hint, a restarted word or a turn by one square
+function isInput(input) {
+  if (!isObject(input) || !isStep(input.step)) {
+    return false;
+  }
+  if (input.hint === true || input.restartWord === true) {
+    return true;
+  }
+  return [-1, 0, 1].includes(input.dx) && [-1, 0, 1].includes(input.dy) &&
+    Math.abs(input.dx) + Math.abs(input.dy) === 1;
+}
+
+/**
+ * What ReplayScene needs but a damaged or hand-edited file lacks,
+ * or null when the replay can be played
+ */
+function findDamage(replay) {
+  const { settings, result } = replay;
+  const room = settings.room;
+  if (!isObject(room) || ![room.x, room.y].every(isNumber) || ![room.width, room.height].every(isPositive)) {
+    return 'bad room';
+  }
+  if (!isObject(settings.screen) || ![settings.screen.width, settings.screen.height].every(isPositive)) {
+    return 'bad screen size';
+  }
+  if (!isPositive(settings.speedScale) || (settings.speedFactor !== undefined && !isPositive(settings.speedFactor))) {
+    return 'bad speed';
+  }
+  if (!Number.isInteger(settings.level) || settings.level < 1) {
+    return 'bad level';
+  }
+  if (!isStep(result.steps) || !isNumber(result.time)) {
+    return 'bad result';
+  }
+  if (!replay.words.every(entry => isObject(entry) && isObject(entry.word))) {
+    return 'bad words';
+  }
+  if (!replay.inputs.every(isInput)) {
+    return 'bad inputs';
+  }
+  return null;
+}
+
+/**
+ * Saved replays, newest first
+ */
+export function loadReplays() {
+  try {
+    const replays = JSON.parse(storage.getItem(REPLAYS_KEY) || '[]');
+    return Array.isArray(replays) ? replays : [];
+  } catch (err) {
+    console.error('Stored replays are damaged:', err);
+    return [];
+  }
+}
+
+export function saveReplays(replays) {
+  storage.setItem(REPLAYS_KEY, JSON.stringify(replays.slice(0, MAX_REPLAYS)));
+}
+
+/**
+ * Keeps a replay as the newest one (dropping the oldest ones)
+ */
+export function addReplay(replay) {
+  saveReplays([replay, ...loadReplays()]);
+}
+
+/**
+ * File name for exporting, e.g. "word-snake-2026-10-19-1405.json"
+ */
+export function replayFileName(replay) {
+  const date = new Date(replay.recordedAt);
+  const pad = n => String(n).padStart(2, '0');
+  return `word-snake-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}.json`;
+}
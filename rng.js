@@ -0,0 +1,48 @@
+/*******************************************************************
+ * rng.js
+ * A small seeded random number generator (mulberry32).
+ *
+ * The same seed always gives the same numbers, so a game played with a
+ * seed can be played again exactly. The method names match the parts
+ * of Phaser.Math.RandomDataGenerator the game uses (frac, between, pick).
+ *******************************************************************/
+
+/**
+ * Turns any seed (number or string) into a 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  const text = String(seed);
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export class Random {
+  constructor(seed = Date.now()) {
+    this.seed = seed;
+    this.state = hashSeed(seed);
+  }
+
+  // A number in [0, 1)
+  frac() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // An integer between min and max, both included
+  between(min, max) {
+    return Math.floor(this.frac() * (max - min + 1)) + min;
+  }
+
+  // A random element of the array
+  pick(array) {
+    return array[Math.floor(this.frac() * array.length)];
+  }
+}
@@ -0,0 +1,178 @@
+/*******************************************************************
+ * scheduler.js
+ * Spaced-repetition scheduling of words (Leitner boxes).
+ *
+ * Every word has a learning record:
+ *    { box, wrongLetters, hintsUsed, timeToSpell, lastSeen, due }
+ *    - box:          1..MAX_BOX, higher means better known
+ *    - wrongLetters: wrong letters picked the last time it was played
+ *    - hintsUsed:    hints taken the last time it was played
+ *    - timeToSpell:  milliseconds it took to spell it the last time
+ *    - lastSeen:     time (ms since epoch) it was last played
+ *    - due:          time from which it should be asked again
+ *
+ * Spelling a word without mistakes moves it up one box, a few mistakes
+ * keep it where it is, more than that sends it back to box 1.
+ * Every hint counts as a mistake.
+ * Each box has a longer waiting time until the word is due again.
+ *
+ * When picking the next word, due words come first (the least known
+ * ones first), and words never played count as due.
+ *
+ * Nothing here uses Phaser, so it can be used from unit tests.
+ *******************************************************************/
+
+import { storage } from './profiles.js';
+
+export const MAX_BOX = 5;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Waiting time after a word lands in a box (index = box number)
+export const BOX_INTERVALS = [0, 0, 10 * MINUTE, DAY, 3 * DAY, 7 * DAY];
+
+// A word in this box or higher counts as learned
+export const LEARNED_BOX = 4;
+
+// Up to this many wrong letters keeps a word in its box
+const ALLOWED_MISTAKES = 2;
+
+// Pick among this many of the most urgent words, for some variety
+const PICK_FROM_TOP = 3;
+
+const SCHEDULE_KEY = 'wordSnakeSchedule';
+
+export class Scheduler {
+  /**
+   * records: previously saved records (see toJSON)
+   * now:     clock function, replaceable in tests
+   */
+  constructor(records = {}, now = () => Date.now()) {
+    this.records = { ...records };
+    this.now = now;
+  }
+
+  /**
+   * Words are identified by both sides, so the same pair shares its
+   * record between word lists. (Alternative answers are joined by "|".)
+   */
+  static key(entry) {
+    const side = answers => [].concat(answers).join('|');
+    return `${side(entry.primary)}→${side(entry.newLang)}`;
+  }
+
+  getRecord(entry) {
+    return this.records[Scheduler.key(entry)] || null;
+  }
+
+  isDue(entry, now = this.now()) {
+    const record = this.getRecord(entry);
+    return !record || record.due <= now;
+  }
+
+  /**
+   * Picks the next word to practise from words.
+   * random is anything with a pick(array) method (e.g. Phaser's
+   * RandomDataGenerator). The word in exclude is avoided if possible,
+   * so the same word doesn't come twice in a row.
+   */
+  pickNext(words, random, exclude = null) {
+    let candidates = words.filter(w => w !== exclude);
+    if (candidates.length === 0) {
+      candidates = words;
+    }
+    const now = this.now();
+    const due = candidates.filter(w => this.isDue(w, now));
+
+    let ordered;
+    if (due.length > 0) {
+      // Least known first, then the ones waited longest for
+      ordered = due.sort((a, b) => this.boxOf(a) - this.boxOf(b) || this.lastSeenOf(a) - this.lastSeenOf(b));
+    } else {
+      // Nothing is due: take the ones that will be due soonest
+      ordered = candidates.sort((a, b) => this.getRecord(a).due - this.getRecord(b).due);
+    }
+
+    // Only choose among words as urgent as the most urgent one
+    const firstBox = this.boxOf(ordered[0]);
+    const top = ordered.slice(0, PICK_FROM_TOP).filter(w => this.boxOf(w) === firstBox);
+    return random.pick(top);
+  }
+
+  boxOf(entry) {
+    const record = this.getRecord(entry);
+    // Unseen words go after words in box 1 that need practice
+    return record ? record.box : 1.5;
+  }
+
+  lastSeenOf(entry) {
+    const record = this.getRecord(entry);
+    return record ? record.lastSeen : 0;
+  }
+
+  /**
+   * Records one attempt at a word and reschedules it.
+   * completed is false when the game ended before the word was spelled.
+   */
+  recordResult(entry, { wrongLetters, hintsUsed = 0, timeToSpell, completed = true }) {
+    const now = this.now();
+    const previous = this.getRecord(entry);
+    let box = previous ? previous.box : 1;
+    const mistakes = wrongLetters + hintsUsed;
+
+    if (!completed || mistakes > ALLOWED_MISTAKES) {
+      box = 1;
+    } else if (mistakes === 0) {
+      box = Math.min(box + 1, MAX_BOX);
+    }
+
+    const record = {
+      box,
+      wrongLetters,
+      hintsUsed,
+      timeToSpell: completed ? timeToSpell : null,
+      lastSeen: now,
+      due: now + BOX_INTERVALS[box],
+    };
+    this.records[Scheduler.key(entry)] = record;
+    return record;
+  }
+
+  /**
+   * How well a word is known, 0 (never played) to MAX_BOX
+   */
+  masteryOf(entry) {
+    return this.masteryOfKey(Scheduler.key(entry));
+  }
+
+  masteryOfKey(key) {
+    const record = this.records[key];
+    return record ? record.box : 0;
+  }
+
+  countLearned() {
+    return Object.values(this.records).filter(record => record.box >= LEARNED_BOX).length;
+  }
+
+  toJSON() {
+    return this.records;
+  }
+}
+
+/**
+ * Reads the saved schedule from localStorage
+ */
+export function loadScheduler() {
+  let records = {};
+  try {
+    records = JSON.parse(storage.getItem(SCHEDULE_KEY) || '{}') || {};
+  } catch (err) {
+    console.error('Stored word schedule is damaged:', err);
+  }
+  return new Scheduler(records);
+}
+
+export function saveScheduler(scheduler) {
+  storage.setItem(SCHEDULE_KEY, JSON.stringify(scheduler));
+}
@@ -0,0 +1,402 @@
+/*******************************************************************
+ * server/rooms.js
+ * Rooms for online games (see server.js): up to MAX_PLAYERS snakes race
+ * to spell the same word, with the rules of versus.js. The server owns
+ * the game; clients only send their turns and draw what they are sent
+ * (OnlineGameScene in game.js, online.js).
+ *
+ * A room is found by its join code, e.g. "KXTR". Whoever creates it is
+ * the host: their word list and settings are played, and they start the
+ * game once at least two players are in.
+ *
+ * Every player gets a token when joining. A player whose connection
+ * drops keeps their place for RECONNECT_GRACE_MS and can come back with
+ * the token ('rejoin'); meanwhile their snake stands still. After that
+ * they are out of the game (or, in the lobby, out of the room). A room
+ * with nobody left closes.
+ *
+ * Messages are JSON objects with a `type`. From the client:
+ *    { type: 'create', name, wordList: { name, primaryLang, newLang, words },
+ *      settings: { direction, spelling, movement } }
+ *    { type: 'join', code, name }
+ *    { type: 'rejoin', code, token }
+ *    { type: 'start' }                         host only
+ *    { type: 'turn', dx, dy }
+ *    { type: 'leave' }
+ * From the server:
+ *    { type: 'joined', code, token, playerId }
+ *    { type: 'lobby', code, wordListName, players: [{ id, name, host, connected }] }
+ *    { type: 'started', room, players: [names], you }   you: your player index
+ *    { type: 'state', time, prompt, players, letters, events }  see snapshot()
+ *    { type: 'over', reason, winner, players }  see VersusState.finish()
+ *    { type: 'error', message, left }          left: true if a rejoin failed
+ *******************************************************************/
+
+import { randomBytes, randomInt } from 'node:crypto';
+
+import { spellingOptions } from '../alphabets.js';
+import { STEP_MS } from '../core.js';
+import { Random } from '../rng.js';
+import { VersusState, MAX_PLAYERS } from '../versus.js';
+import { validateEntry } from '../wordlists.js';
+
+export const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // no I or O, they look like 1 and 0
+export const CODE_LENGTH = 4;
+export const SNAPSHOT_MS = 50;              // the state is sent 20 times a second
+export const RECONNECT_GRACE_MS = 30000;
+export const MAX_WORDS = 5000;              // largest word list a host may send
+export const NAME_LENGTH = 20;
+
+// Every online game is played in this area; clients scale it to their screen
+export const ONLINE_ROOM = { x: 0, y: 0, width: 800, height: 560 };
+
+const SETTING_CHOICES = {
+  direction: ['forward', 'reverse', 'mixed'],
+  movement: ['smooth', 'classic'],
+};
+
+/**
+ * A join code that no open room has
+ */
+export function createCode(rooms) {
+  let code;
+  do {
+    code = Array.from({ length: CODE_LENGTH }, () => CODE_LETTERS[randomInt(CODE_LETTERS.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Checks the word list a host sent.
+ * Returns { wordList } when usable, otherwise { error } with a message.
+ */
+export function validateWordList(wordList) {
+  if (!wordList || typeof wordList !== 'object' || !Array.isArray(wordList.words)) {
+    return { error: 'No word list was sent' };
+  }
+  if (wordList.words.length === 0 || wordList.words.length > MAX_WORDS) {
+    return { error: `A word list needs 1 to ${MAX_WORDS} words` };
+  }
+  const words = [];
+  for (const raw of wordList.words) {
+    const result = validateEntry(raw?.primary, raw?.newLang, raw?.difficulty);
+    if (result.error) {
+      return { error: `Bad word in the list: ${result.error}` };
+    }
+    words.push(result.entry);
+  }
+  const text = value => typeof value === 'string' ? value.slice(0, 40) : '';
+  return {
+    wordList: {
+      name: text(wordList.name),
+      primaryLang: text(wordList.primaryLang),
+      newLang: text(wordList.newLang),
+      words,
+    },
+  };
+}
+
+// The settings a host sent, with the first choice for anything unknown
+function validateSettings(settings = {}) {
+  const valid = {};
+  Object.entries(SETTING_CHOICES).forEach(([name, choices]) => {
+    valid[name] = choices.includes(settings?.[name]) ? settings[name] : choices[0];
+  });
+  // A preset's name or the spelling options (see alphabets.js)
+  valid.spelling = spellingOptions(settings?.spelling);
+  return valid;
+}
+
+export function cleanName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, NAME_LENGTH) : '';
+  return trimmed || 'Player';
+}
+
+export class Room {
+  /**
+   * options:
+   *    code, wordList and settings (see validateWordList())
+   *    graceMs:  how long a dropped player is waited for
+   *    onClose:  called when the last player is gone
+   */
+  constructor({ code, wordList, settings, graceMs = RECONNECT_GRACE_MS, onClose = () => {} }) {
+    this.code = code;
+    this.wordList = wordList;
+    this.settings = validateSettings(settings);
+    this.graceMs = graceMs;
+    this.onClose = onClose;
+    this.players = [];      // { id, name, token, socket, index, graceTimer }, the host first
+    this.nextPlayerId = 1;
+    this.state = null;      // the VersusState while a game is on
+    this.loop = null;
+    this.closed = false;
+  }
+
+  get playing() {
+    return this.state !== null;
+  }
+
+  /**
+   * Adds a player; returns the player, or { error }
+   */
+  join(socket, name) {
+    if (this.playing) {
+      return { error: 'The game has already started' };
+    }
+    if (this.players.length >= MAX_PLAYERS) {
+      return { error: 'The room is full' };
+    }
+    const player = {
+      id: this.nextPlayerId++,
+      name: cleanName(name),
+      token: randomBytes(16).toString('hex'),
+      socket,
+      index: null,
+      graceTimer: null,
+    };
+    this.players.push(player);
+    this.send(player, { type: 'joined', code: this.code, token: player.token, playerId: player.id });
+    this.sendLobby();
+    return player;
+  }
+
+  /**
+   * A player coming back with their token; returns the player, or { error }
+   */
+  rejoin(socket, token) {
+    const player = this.players.find(p => p.token === token);
+    if (!player) {
+      return { error: 'You are no longer in this room', left: true };
+    }
+    if (player.socket && player.socket !== socket) {
+      player.socket.close();
+    }
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+    player.socket = socket;
+    this.send(player, { type: 'joined', code: this.code, token: player.token, playerId: player.id });
+    if (this.playing && player.index !== null) {
+      this.state.players[player.index].frozen = false;
+      this.send(player, this.startedMessage(player));
+    }
+    this.sendLobby();
+    return player;
+  }
+
+  /**
+   * A message from one of the players
+   */
+  handle(player, message) {
+    switch (message.type) {
+      case 'start':
+        if (player !== this.players[0]) {
+          this.send(player, { type: 'error', message: 'Only the host can start the game' });
+        } else if (this.playing) {
+          this.send(player, { type: 'error', message: 'The game has already started' });
+        } else if (this.players.length < 2) {
+          this.send(player, { type: 'error', message: 'Waiting for a second player' });
+        } else {
+          this.start();
+        }
+        break;
+      case 'turn':
+        this.turn(player, message.dx, message.dy);
+        break;
+      case 'leave':
+        this.remove(player);
+        break;
+      default:
+        this.send(player, { type: 'error', message: `Unknown message: ${message.type}` });
+    }
+  }
+
+  turn(player, dx, dy) {
+    const valid = [-1, 0, 1];
+    if (!this.playing || player.index === null || !valid.includes(dx) || !valid.includes(dy) ||
+        Math.abs(dx) + Math.abs(dy) !== 1) {
+      return;
+    }
+    if (!this.state.players[player.index].out) {
+      this.state.setDirection(dx, dy, player.index);
+    }
+  }
+
+  /**
+   * The player's connection (socket) dropped: their place is kept for a while
+   */
+  disconnect(player, socket) {
+    // Nothing to do if they came back on another connection already
+    if (player.socket !== socket || this.closed) {
+      return;
+    }
+    player.socket = null;
+    if (this.playing && player.index !== null) {
+      this.state.players[player.index].frozen = true;
+    }
+    player.graceTimer = setTimeout(() => this.remove(player), this.graceMs);
+    this.sendLobby();
+  }
+
+  /**
+   * The player left (or didn't come back in time)
+   */
+  remove(player) {
+    clearTimeout(player.graceTimer);
+    this.players = this.players.filter(p => p !== player);
+    player.socket = null;
+    if (this.playing && player.index !== null) {
+      this.state.removePlayer(player.index);
+      this.tick();
+    }
+    if (this.players.length === 0) {
+      this.close();
+      return;
+    }
+    this.sendLobby();
+  }
+
+  start() {
+    this.players.forEach((player, i) => {
+      player.index = i;
+    });
+    this.state = new VersusState({
+      words: this.wordList.words,
+      primaryLang: this.wordList.primaryLang,
+      newLang: this.wordList.newLang,
+      room: ONLINE_ROOM,
+      random: new Random(Date.now()),
+      direction: this.settings.direction,
+      spelling: this.settings.spelling,
+      movement: this.settings.movement,
+      speedScale: Math.min(ONLINE_ROOM.width, ONLINE_ROOM.height) / 100,
+      players: this.players.length,
+    });
+    // A player who dropped out in the lobby waits where they are
+    this.players.forEach(player => {
+      this.state.players[player.index].frozen = player.socket === null;
+    });
+    this.state.start();
+    this.players.forEach(player => this.send(player, this.startedMessage(player)));
+
+    // The game runs on fixed steps, like GameScene.advance()
+    this.accumulator = 0;
+    this.lastTick = Date.now();
+    this.loop = setInterval(() => this.tick(), SNAPSHOT_MS);
+    this.tick();
+  }
+
+  startedMessage(player) {
+    return {
+      type: 'started',
+      room: ONLINE_ROOM,
+      movement: this.settings.movement,
+      // By state index: players who left keep their place (and snake)
+      players: this.state.players.map((_, i) => this.players.find(p => p.index === i)?.name ?? ''),
+      you: player.index,
+    };
+  }
+
+  /**
+   * Steps the game up to now and sends everyone the new state
+   */
+  tick() {
+    const now = Date.now();
+    this.accumulator += now - this.lastTick;
+    this.lastTick = now;
+    while (this.accumulator >= STEP_MS && !this.state.over) {
+      this.state.step(STEP_MS);
+      this.accumulator -= STEP_MS;
+    }
+    this.broadcast(this.snapshot(this.state.takeEvents()));
+    if (this.state.over) {
+      this.finish();
+    }
+  }
+
+  /**
+   * What the clients draw: every snake, the letters and the word
+   */
+  snapshot(events) {
+    const state = this.state;
+    return {
+      type: 'state',
+      time: state.time,
+      prompt: state.prompt,
+      promptLang: state.languages[state.promptSide] || '',
+      players: state.players.map((p, i) => ({
+        name: this.players.find(player => player.index === i)?.name ?? '',
+        segments: p.snake.segments.map(seg => ({ x: seg.x, y: seg.y })),
+        spelled: p.spelledLetters,
+        wordsWon: p.wordsWon,
+        out: p.out,
+        connected: !p.frozen,
+      })),
+      letters: state.lettersOnField.map(({ id, letter, x, y }) => ({ id, letter, x, y })),
+      events,
+    };
+  }
+
+  /**
+   * The game is over: tell everyone and go back to the lobby
+   */
+  finish() {
+    clearInterval(this.loop);
+    this.loop = null;
+    const state = this.state;
+    this.broadcast({
+      type: 'over',
+      reason: state.overReason,
+      winner: state.winner,
+      players: state.players.map((p, i) => ({
+        name: this.players.find(player => player.index === i)?.name ?? '',
+        wordsWon: p.wordsWon,
+        bestLength: p.bestLength,
+      })),
+    });
+    this.state = null;
+    this.players.forEach(player => {
+      player.index = null;
+    });
+    this.sendLobby();
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.loop);
+    this.players.forEach(player => clearTimeout(player.graceTimer));
+    this.onClose(this);
+  }
+
+  sendLobby() {
+    if (this.closed) {
+      return;
+    }
+    this.broadcast({
+      type: 'lobby',
+      code: this.code,
+      wordListName: this.wordList.name,
+      players: this.players.map((player, i) => ({
+        id: player.id,
+        name: player.name,
+        host: i === 0,
+        connected: player.socket !== null,
+      })),
+    });
+  }
+
+  broadcast(message) {
+    const text = JSON.stringify(message);
+    this.players.forEach(player => this.send(player, text));
+  }
+
+  // message: an object, or JSON text already
+  send(player, message) {
+    const socket = player.socket;
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+}
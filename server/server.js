@@ -0,0 +1,158 @@
+/*******************************************************************
+ * server/server.js
+ * The WebSocket server for online games (see rooms.js for the rooms and
+ * the messages). It needs nothing but Node and the `ws` package:
+ *
+ *    npm install
+ *    npm run server               (PORT=9000 npm run server for another port)
+ *
+ * and then open the game with ?server=ws://<this machine>:8080 if it
+ * isn't served from the same machine.
+ *******************************************************************/
+
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+import { Room, createCode, validateWordList } from './rooms.js';
+
+export const DEFAULT_PORT = 8080;
+const MAX_MESSAGE_BYTES = 1024 * 1024;  // enough for a large word list
+const HEARTBEAT_MS = 10000;             // connections that don't answer a ping are dropped
+
+/**
+ * Starts the server. options: { port (0 for any free one), graceMs (see Room) }
+ * Resolves to { port, rooms, close() }.
+ */
+export function startServer({ port = DEFAULT_PORT, graceMs } = {}) {
+  const rooms = new Map();  // by join code
+  const wss = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES });
+
+  wss.on('connection', (socket) => {
+    // The room and player of this connection, once it joined one
+    let room = null;
+    let player = null;
+    socket.alive = true;
+    socket.on('pong', () => {
+      socket.alive = true;
+    });
+
+    const sendError = (message, left = false) => socket.send(JSON.stringify({ type: 'error', message, left }));
+
+    // Joins a room: result is a player or { error }
+    const enter = (newRoom, result) => {
+      if (result.error) {
+        sendError(result.error, result.left);
+        return;
+      }
+      room = newRoom;
+      player = result;
+    };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        sendError('Messages must be JSON');
+        return;
+      }
+      if (!message || typeof message !== 'object') {
+        sendError('Messages must be JSON objects');
+        return;
+      }
+
+      if (['create', 'join', 'rejoin'].includes(message.type)) {
+        if (room) {
+          sendError('You are in a room already');
+          return;
+        }
+        if (message.type === 'create') {
+          const { wordList, error } = validateWordList(message.wordList);
+          if (error) {
+            sendError(error);
+            return;
+          }
+          const code = createCode(rooms);
+          const newRoom = new Room({
+            code,
+            wordList,
+            settings: message.settings,
+            graceMs,
+            onClose: () => rooms.delete(code),
+          });
+          rooms.set(code, newRoom);
+          enter(newRoom, newRoom.join(socket, message.name));
+          return;
+        }
+        const found = rooms.get(String(message.code || '').toUpperCase());
+        if (!found) {
+          // A room that closed while the player was away
+          if (message.type === 'rejoin') {
+            sendError('You are no longer in this room', true);
+          } else {
+            sendError('There is no room with that code');
+          }
+          return;
+        }
+        enter(found, message.type === 'join' ? found.join(socket, message.name) : found.rejoin(socket, message.token));
+        return;
+      }
+
+      if (!room) {
+        sendError('Create or join a room first');
+        return;
+      }
+      room.handle(player, message);
+      if (message.type === 'leave') {
+        room = null;
+        player = null;
+      }
+    });
+
+    socket.on('close', () => {
+      if (room) {
+        room.disconnect(player, socket);
+      }
+    });
+  });
+
+  // Drops connections that went away without closing (e.g. a phone going to sleep)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.alive) {
+        socket.terminate();
+        return;
+      }
+      socket.alive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+
+  const close = () => new Promise(resolve => {
+    clearInterval(heartbeat);
+    rooms.forEach(room => room.close());
+    wss.clients.forEach(socket => socket.terminate());
+    wss.close(() => resolve());
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', (err) => {
+      clearInterval(heartbeat);
+      reject(err);
+    });
+    wss.once('listening', () => {
+      resolve({ port: wss.address().port, rooms, close });
+    });
+  });
+}
+
+// Run directly: node server/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  startServer({ port }).then(() => {
+    console.log(`Word Snake server listening on ws://localhost:${port}`);
+  }).catch(err => {
+    console.error('Could not start the server:', err.message);
+    process.exitCode = 1;
+  });
+}
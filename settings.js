@@ -0,0 +1,270 @@
+/*******************************************************************
+ * settings.js
+ * The player's preferences, changed in SettingsScene (game.js):
+ *    musicVolume:   0..1
+ *    sfxVolume:     0..1, sound effects (see sfx.js)
+ *    muted:         no sound at all
+ *    speed:         snake speed, a key of SPEEDS (from the next game on)
+ *    controls:      keys that steer, a key of CONTROL_SCHEMES
+ *    customKeys:    the player's own keys ('custom' controls):
+ *                   { up, left, down, right } key codes
+ *    pauseKey:      key that opens the pause menu, a key of PAUSE_KEYS
+ *    swipe:         swipe sensitivity, a key of SWIPE_DISTANCES
+ *    dpad:          show arrow buttons to tap on the screen
+ *    textSize:      a key of TEXT_SIZES
+ *    theme:         color theme, a key of THEMES
+ *    reducedMotion: no flashing screen on right and wrong letters
+ *    direction:     translation direction (see DIRECTIONS in core.js)
+ *    spelling:      what has to be collected, { autoFillSpaces,
+ *                   autoFillPunctuation, ignoreCase } (see alphabets.js)
+ *    speakWords:    say each spelled word aloud (see speech.js)
+ *    listeningMode: say the word to translate instead of showing it
+ *
+ * Stored in localStorage; missing values get the defaults (reduced
+ * motion follows the system's setting until it is changed). Scenes that
+ * are running when the settings change hear about it through
+ * onSettingsChanged(), so nothing needs a reload.
+ *******************************************************************/
+
+import { DIRECTIONS } from './core.js';
+import { SPELLING_PRESETS, spellingOptions } from './alphabets.js';
+import { storage } from './profiles.js';
+
+const SETTINGS_KEY = 'wordSnakeSettings';
+
+// Multiplies the snake speed of every level
+export const SPEEDS = { slow: 0.8, normal: 1, fast: 1.25 };
+
+// Keys that steer the snake
+export const CONTROL_SCHEMES = {
+  arrows: 'arrow keys',
+  wasd: 'W A S D',
+  both: 'arrows and W A S D',
+  custom: 'your own keys',
+};
+
+// Key codes (as in KeyboardEvent.keyCode) of the 'custom' keys: I J K L
+const DEFAULT_CUSTOM_KEYS = { up: 73, left: 74, down: 75, right: 76 };
+
+// Keys that pause the game (and open the pause menu)
+export const PAUSE_KEYS = {
+  escape: 'Esc',
+  p: 'P',
+  both: 'Esc or P',
+};
+
+// Shortest swipe (in pixels) that turns the snake
+export const SWIPE_DISTANCES = { low: 40, medium: 20, high: 10 };
+
+// Multiplies all text sizes
+export const TEXT_SIZES = { small: 0.85, medium: 1, large: 1.25 };
+
+/**
+ * Color themes. Colors used by Phaser shapes are numbers,
+ * the ones used for text and backgrounds are CSS strings.
+ */
+export const THEMES = {
+  dark: {
+    background: '#000000',
+    text: '#ffffff',
+    accent: '#ffff00',     // focused rows, headings
+    warning: '#ff8080',
+    button: '#333333',
+    room: 0x808080,
+    snakeHead: 0x00cc00,
+    snakeBody: 0x00ff00,
+    rivalHead: 0x0077dd,   // the second snake in versus
+    rivalBody: 0x3399ff,
+    rival2Head: 0xcc6600,  // the third and fourth snakes online
+    rival2Body: 0xff9933,
+    rival3Head: 0xaa33aa,
+    rival3Body: 0xdd66dd,
+    tile: 0xffffff,
+    tileText: '#000000',
+    hint: 0xffff00,        // tiles pointed out by a hint
+    good: '#00ff00',       // flash on a right letter
+    bad: '#ff0000',        // flash on a wrong letter
+  },
+  light: {
+    background: '#f2efe6',
+    text: '#222222',
+    accent: '#b05a00',
+    warning: '#c00000',
+    button: '#d8d4c8',
+    room: 0xc8c4b8,
+    snakeHead: 0x1e7b1e,
+    snakeBody: 0x2fa82f,
+    rivalHead: 0x1f4fbf,
+    rivalBody: 0x4a74d9,
+    rival2Head: 0xa35200,
+    rival2Body: 0xd9822b,
+    rival3Head: 0x7e2a8e,
+    rival3Body: 0xad5cbd,
+    tile: 0xffffff,
+    tileText: '#000000',
+    hint: 0xffd23f,
+    good: '#9be89b',
+    bad: '#f29a9a',
+  },
+  // Everything as far apart as possible
+  highContrast: {
+    background: '#000000',
+    text: '#ffffff',
+    accent: '#ffff00',
+    warning: '#ff8080',
+    button: '#404040',
+    room: 0x262626,
+    snakeHead: 0xffffff,
+    snakeBody: 0x00ffff,
+    rivalHead: 0xff8000,
+    rivalBody: 0xffb366,
+    rival2Head: 0x00ff00,
+    rival2Body: 0x99ff99,
+    rival3Head: 0xff00ff,
+    rival3Body: 0xff99ff,
+    tile: 0xffffff,
+    tileText: '#000000',
+    hint: 0xffff00,
+    good: '#0044ff',
+    bad: '#ff0000',
+  },
+  // The Okabe-Ito colors, told apart with any kind of color blindness;
+  // right and wrong are blue and orange instead of green and red
+  colorblind: {
+    background: '#1a1a1a',
+    text: '#ffffff',
+    accent: '#f0e442',
+    warning: '#e69f00',
+    button: '#3a3a3a',
+    room: 0x595959,
+    snakeHead: 0x0072b2,
+    snakeBody: 0x56b4e9,
+    rivalHead: 0xd55e00,
+    rivalBody: 0xe69f00,
+    rival2Head: 0x009e73,
+    rival2Body: 0x5cc6a6,
+    rival3Head: 0xcc79a7,
+    rival3Body: 0xe3b1cd,
+    tile: 0xffffff,
+    tileText: '#000000',
+    hint: 0xf0e442,
+    good: '#0072b2',
+    bad: '#d55e00',
+  },
+  ocean: {
+    background: '#08243a',
+    text: '#e8f4ff',
+    accent: '#ffd166',
+    warning: '#ff9f9f',
+    button: '#174566',
+    room: 0x2d6a8e,
+    snakeHead: 0xf4a261,
+    snakeBody: 0xe9c46a,
+    rivalHead: 0xd62f8a,
+    rivalBody: 0xef6fb2,
+    rival2Head: 0x1fa89b,
+    rival2Body: 0x6fd8cd,
+    rival3Head: 0x7b6ce0,
+    rival3Body: 0xb0a6ff,
+    tile: 0xf1faee,
+    tileText: '#08243a',
+    hint: 0xffd166,
+    good: '#2a9d8f',
+    bad: '#e63946',
+  },
+};
+
+// How the themes are called in SettingsScene
+export const THEME_NAMES = {
+  dark: 'dark',
+  light: 'light',
+  highContrast: 'high contrast',
+  colorblind: 'colorblind-safe',
+  ocean: 'ocean',
+};
+
+export const DEFAULT_SETTINGS = {
+  musicVolume: 0.8,
+  sfxVolume: 0.8,
+  muted: false,
+  speed: 'normal',
+  controls: 'both',
+  customKeys: DEFAULT_CUSTOM_KEYS,
+  pauseKey: 'both',
+  swipe: 'medium',
+  dpad: false,
+  textSize: 'medium',
+  theme: 'dark',
+  reducedMotion: false,
+  direction: 'forward',
+  spelling: SPELLING_PRESETS.relaxed,
+  speakWords: true,
+  listeningMode: false,
+};
+
+const listeners = new Set();
+
+// The system's "reduce motion" setting (false outside a browser)
+function prefersReducedMotion() {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+export function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(SETTINGS_KEY) || '{}') || {};
+  } catch (err) {
+    console.error('Stored settings are damaged:', err);
+  }
+  // The direction used to be stored on its own
+  if (saved.direction === undefined && storage.getItem('wordSnakeDirection')) {
+    saved.direction = storage.getItem('wordSnakeDirection');
+  }
+  // ...and so did the spelling, as the name of a preset
+  if (saved.spelling === undefined && storage.getItem('wordSnakeSpelling')) {
+    saved.spelling = storage.getItem('wordSnakeSpelling');
+  }
+  const settings = { ...DEFAULT_SETTINGS, reducedMotion: prefersReducedMotion(), ...saved };
+  // Values that are no longer offered fall back to the default
+  const choices = { speed: SPEEDS, controls: CONTROL_SCHEMES, pauseKey: PAUSE_KEYS, swipe: SWIPE_DISTANCES, textSize: TEXT_SIZES, theme: THEMES };
+  Object.entries(choices).forEach(([name, options]) => {
+    if (!(settings[name] in options)) {
+      settings[name] = DEFAULT_SETTINGS[name];
+    }
+  });
+  if (!DIRECTIONS.includes(settings.direction)) {
+    settings.direction = DEFAULT_SETTINGS.direction;
+  }
+  settings.spelling = spellingOptions(settings.spelling);
+  if (!validCustomKeys(settings.customKeys)) {
+    settings.customKeys = DEFAULT_CUSTOM_KEYS;
+  }
+  return settings;
+}
+
+/**
+ * Whether keys is a key code for each of up, left, down and right,
+ * no two the same
+ */
+export function validCustomKeys(keys) {
+  if (!keys || typeof keys !== 'object') {
+    return false;
+  }
+  const codes = ['up', 'left', 'down', 'right'].map(name => keys[name]);
+  return codes.every(code => Number.isInteger(code) && code > 0) && new Set(codes).size === codes.length;
+}
+
+export function saveSettings(settings) {
+  storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  listeners.forEach(listener => listener({ ...settings }));
+}
+
+/**
+ * Calls listener(settings) after every saveSettings().
+ * Returns a function that stops it.
+ */
+export function onSettingsChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
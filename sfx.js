@@ -0,0 +1,59 @@
+/*******************************************************************
+ * sfx.js
+ * Short sound effects, made with the Web Audio API so no sound files
+ * are needed. Each sound is a few notes: [frequency in Hz, seconds].
+ * Right and wrong differ in more than pitch: right is a soft chime going
+ * up, wrong a buzz going down.
+ *
+ * Browsers only allow sound after the player has pressed or tapped
+ * something; before that (or without Web Audio) nothing is heard.
+ *******************************************************************/
+
+const SOUNDS = {
+  correct:  { wave: 'sine', notes: [[660, 0.06], [880, 0.08]] },
+  wrong:    { wave: 'square', notes: [[311, 0.1], [156, 0.22]] },
+  hint:     { wave: 'triangle', notes: [[520, 0.08], [520, 0.08]] },
+  levelUp:  { wave: 'triangle', notes: [[523, 0.1], [659, 0.1], [784, 0.1], [1047, 0.2]] },
+  gameOver: { wave: 'sawtooth', notes: [[392, 0.18], [330, 0.18], [262, 0.35]] },
+};
+
+let context = null;
+
+function audioContext() {
+  if (!context) {
+    const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContext) {
+      return null;
+    }
+    context = new AudioContext();
+  }
+  return context;
+}
+
+/**
+ * Plays one of SOUNDS at volume 0..1 (0 plays nothing)
+ */
+export function playSound(name, volume) {
+  const sound = SOUNDS[name];
+  const ctx = volume > 0 && sound ? audioContext() : null;
+  if (!ctx) {
+    return;
+  }
+  if (ctx.state === 'suspended') {
+    ctx.resume();
+  }
+  let start = ctx.currentTime;
+  sound.notes.forEach(([frequency, duration]) => {
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = sound.wave;
+    oscillator.frequency.value = frequency;
+    // Fade out, so the notes don't click
+    gain.gain.setValueAtTime(0.25 * volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+    start += duration;
+  });
+}
@@ -0,0 +1,86 @@
+/*******************************************************************
+ * speech.js
+ * Speaking words aloud with the Web Speech API (speechSynthesis).
+ *
+ * The voice is picked by the language code of the word list side being
+ * spoken (e.g. 'sv' finds a 'sv-SE' voice). Browsers without speech,
+ * or without a voice for the language, are skipped quietly: speak()
+ * just returns false.
+ *******************************************************************/
+
+function synth() {
+  return (typeof window !== 'undefined' && window.speechSynthesis) || null;
+}
+
+export function speechAvailable() {
+  return synth() !== null && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Resolves once the voices are known (some browsers load them late),
+ * or after a second if none turn up
+ */
+export function loadVoices() {
+  const speech = synth();
+  if (!speech) {
+    return Promise.resolve([]);
+  }
+  if (speech.getVoices().length > 0) {
+    return Promise.resolve(speech.getVoices());
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      speech.removeEventListener('voiceschanged', done);
+      resolve(speech.getVoices());
+    };
+    speech.addEventListener('voiceschanged', done);
+    setTimeout(done, 1000);
+  });
+}
+
+/**
+ * The best voice for a language code, or null.
+ * Exact matches ('sv') and regional ones ('sv-SE') both count;
+ * the browser's default and local voices are preferred.
+ */
+export function findVoice(lang) {
+  const speech = synth();
+  if (!speech || !lang) {
+    return null;
+  }
+  const code = lang.toLowerCase();
+  const matching = speech.getVoices().filter(voice => {
+    const voiceLang = voice.lang.toLowerCase().replace('_', '-');
+    return voiceLang === code || voiceLang.startsWith(`${code}-`);
+  });
+  const rank = voice => (voice.default ? 2 : 0) + (voice.localService ? 1 : 0);
+  matching.sort((a, b) => rank(b) - rank(a));
+  return matching[0] || null;
+}
+
+/**
+ * Says text in the language; queued after anything already being said.
+ * Returns false if it can't be spoken.
+ */
+export function speak(text, lang) {
+  const voice = speechAvailable() ? findVoice(lang) : null;
+  if (!voice || !text) {
+    return false;
+  }
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.voice = voice;
+  utterance.lang = voice.lang;
+  utterance.rate = 0.9;
+  synth().speak(utterance);
+  return true;
+}
+
+/**
+ * Stops speaking and forgets anything queued
+ */
+export function stopSpeaking() {
+  const speech = synth();
+  if (speech) {
+    speech.cancel();
+  }
+}
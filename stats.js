@@ -0,0 +1,180 @@
+/*******************************************************************
+ * stats.js
+ * Per-word statistics of everything the player has done.
+ *
+ * For every word (keyed like the scheduler, see Scheduler.key):
+ *    { primary, newLang (as shown, e.g. "morbror / farbror"), shown, completed, correctPicks, wrongPicks,
+ *      wrongLetters: { letter: count }, hints, totalTime, bestTime, lastPlayed }
+ * and for every day ('YYYY-MM-DD', local time):
+ *    { correctPicks, wrongPicks, wordsCompleted }
+ *
+ * Nothing here uses Phaser; StatsScene in game.js shows the numbers.
+ *******************************************************************/
+
+import { Scheduler } from './scheduler.js';
+import { formatAnswers } from './wordlists.js';
+import { storage } from './profiles.js';
+
+const STATS_KEY = 'wordSnakeStats';
+
+/**
+ * Local date as 'YYYY-MM-DD'
+ */
+export function dayKey(time) {
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export class WordStats {
+  constructor(data = {}, now = () => Date.now()) {
+    this.words = { ...(data.words || {}) };
+    this.days = { ...(data.days || {}) };
+    this.now = now;
+  }
+
+  getWord(entry) {
+    return this.words[Scheduler.key(entry)] || null;
+  }
+
+  wordRecord(entry) {
+    const key = Scheduler.key(entry);
+    if (!this.words[key]) {
+      this.words[key] = {
+        primary: formatAnswers(entry.primary),
+        newLang: formatAnswers(entry.newLang),
+        shown: 0,
+        completed: 0,
+        correctPicks: 0,
+        wrongPicks: 0,
+        wrongLetters: {},
+        hints: 0,
+        totalTime: 0,
+        bestTime: null,
+        lastPlayed: null,
+      };
+    }
+    return this.words[key];
+  }
+
+  dayRecord() {
+    const key = dayKey(this.now());
+    if (!this.days[key]) {
+      this.days[key] = { correctPicks: 0, wrongPicks: 0, wordsCompleted: 0 };
+    }
+    return this.days[key];
+  }
+
+  // A word was put up to be spelled
+  recordShown(entry) {
+    const record = this.wordRecord(entry);
+    record.shown++;
+    record.lastPlayed = this.now();
+  }
+
+  // A letter was taken while spelling entry
+  recordPick(entry, letter, correct) {
+    const record = this.wordRecord(entry);
+    const day = this.dayRecord();
+    if (correct) {
+      record.correctPicks++;
+      day.correctPicks++;
+    } else {
+      record.wrongPicks++;
+      record.wrongLetters[letter] = (record.wrongLetters[letter] || 0) + 1;
+      day.wrongPicks++;
+    }
+  }
+
+  // A hint was taken while spelling entry
+  recordHint(entry) {
+    const record = this.wordRecord(entry);
+    record.hints = (record.hints || 0) + 1; // older records have no count
+  }
+
+  // The word was spelled to the end, taking time milliseconds
+  recordCompleted(entry, time) {
+    const record = this.wordRecord(entry);
+    record.completed++;
+    record.totalTime += time;
+    record.bestTime = record.bestTime === null ? time : Math.min(record.bestTime, time);
+    this.dayRecord().wordsCompleted++;
+  }
+
+  /**
+   * Share of picks that were right, 0..1 (null if no picks yet)
+   */
+  static accuracy(record) {
+    const picks = record.correctPicks + record.wrongPicks;
+    return picks > 0 ? record.correctPicks / picks : null;
+  }
+
+  /**
+   * Words sorted hardest first: lowest share of right picks.
+   * Only words that have had at least one wrong pick count.
+   */
+  hardestWords(count = 5) {
+    return Object.values(this.words)
+      .filter(record => record.wrongPicks > 0)
+      .sort((a, b) => WordStats.accuracy(a) - WordStats.accuracy(b) || b.wrongPicks - a.wrongPicks)
+      .slice(0, count);
+  }
+
+  /**
+   * The wrong letters most often taken for a word, most frequent first
+   */
+  static commonMistakes(record, count = 3) {
+    return Object.entries(record.wrongLetters)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([letter]) => letter);
+  }
+
+  /**
+   * Accuracy per day for the last `days` days, oldest first:
+   *    [{ day, accuracy, wordsCompleted }], accuracy null on days not played
+   */
+  dailyAccuracy(days = 14) {
+    const result = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(this.now());
+      date.setDate(date.getDate() - i);
+      const day = dayKey(date);
+      const record = this.days[day];
+      result.push({
+        day,
+        accuracy: record ? WordStats.accuracy(record) : null,
+        wordsCompleted: record ? record.wordsCompleted : 0,
+      });
+    }
+    return result;
+  }
+
+  totals() {
+    const records = Object.values(this.words);
+    const sum = field => records.reduce((total, record) => total + record[field], 0);
+    return {
+      wordsPractised: records.filter(record => record.shown > 0).length,
+      wordsCompleted: sum('completed'),
+      accuracy: WordStats.accuracy({ correctPicks: sum('correctPicks'), wrongPicks: sum('wrongPicks') }),
+    };
+  }
+
+  toJSON() {
+    return { words: this.words, days: this.days };
+  }
+}
+
+export function loadStats() {
+  let data = {};
+  try {
+    data = JSON.parse(storage.getItem(STATS_KEY) || '{}') || {};
+  } catch (err) {
+    console.error('Stored statistics are damaged:', err);
+  }
+  return new WordStats(data);
+}
+
+export function saveStats(stats) {
+  storage.setItem(STATS_KEY, JSON.stringify(stats));
+}
@@ -1,71 +1,156 @@
-fetch('./manifest.json')
-    .then(response => response.json())
-    .then(manifest => {
-        const APP_VERSION = manifest.version;
-        const CACHE_NAME = `labyrinth-cache-v${APP_VERSION}`;  // Use dynamic version from manifest
+/*******************************************************************
+ * sw.js
+ * The service worker: keeps the game's files so it starts (and plays)
+ * offline, and brings in new versions.
+ *
+ * It is registered as sw.js?v=<version in manifest.json> (see
+ * updates.js), so every version has its own worker and cache. A new
+ * worker fills its cache on install and then waits until the game says
+ * the player wants it (the "New version" button on the title screen),
+ * after which the old caches are deleted.
+ *
+ * Everything comes from this origin (Phaser too, see vendor/), so the
+ * cache holds all the game needs, including every word list named in
+ * wordlists/index.json.
+ *
+ * Files are served stale-while-revalidate: from the cache straight away,
+ * while a fresh copy is fetched for next time. manifest.json, which says
+ * which version is current, comes from the network whenever it can.
+ *******************************************************************/
 
-        const urlsToCache = [
-            './',
-            './index.html',
-            './manifest.json',
-            './sw.js',
-            './game.js',
-            './game_music.mp3',
-            './title_music.mp3',
-            './background.png',
-            './offline.html',
-            'https://cdn.jsdelivr.net/npm/phaser@3.55.2/dist/phaser.min.js'
-        ];
+const APP_VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'word-snake-v';
+const CACHE_NAME = CACHE_PREFIX + APP_VERSION;
 
-        // Install the service worker and cache the necessary files
-        self.addEventListener('install', function(event) {
-            event.waitUntil(
-                caches.open(CACHE_NAME).then(function(cache) {
-                    console.log('Opened cache with version:', APP_VERSION);
-                    return cache.addAll(urlsToCache);
-                })
-            );
-            self.skipWaiting();  // Activate the service worker immediately
-        });
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './manifest.json',
+  './offline.html',
+  './game.js',
+  './alphabets.js',
+  './announce.js',
+  './core.js',
+  './daily.js',
+  './leaderboard.js',
+  './offline.js',
+  './online.js',
+  './profiles.js',
+  './replay.js',
+  './rng.js',
+  './scheduler.js',
+  './settings.js',
+  './sfx.js',
+  './speech.js',
+  './stats.js',
+  './updates.js',
+  './versus.js',
+  './wordlisteditor.js',
+  './wordlists.js',
+  './title_music.mp3',
+  './background.png',
+  './favicon.ico',
+  './android-chrome-192x192.png',
+  './vendor/phaser.min.js',
+];
+const WORD_LIST_INDEX = './wordlists/index.json';
 
-        // Remove old caches when a new service worker is activated
-        self.addEventListener('activate', function(event) {
-            event.waitUntil(
-                caches.keys().then(function(cacheNames) {
-                    return Promise.all(
-                        cacheNames.map(function(cacheName) {
-                            if (cacheName !== CACHE_NAME) {
-                                console.log('Deleting old cache:', cacheName);
-                                return caches.delete(cacheName);
-                            }
-                        })
-                    );
-                })
-            );
-            self.clients.claim();  // Immediately take control of clients
-        });
+// 'reload' skips the browser's HTTP cache, which may still hold the old files
+function freshRequest(url) {
+  return new Request(url, { cache: 'reload' });
+}
 
-        // Fetch handler with stale-while-revalidate for key assets and offline fallback
-        self.addEventListener('fetch', function(event) {
-            event.respondWith(
-                caches.match(event.request).then(function(cachedResponse) {
-                    // Serve from cache if available
-                    if (cachedResponse) {
-                        return cachedResponse;
-                    }
+// The built-in word lists: the index and every file it names
+async function cacheWordLists(cache) {
+  const response = await fetch(freshRequest(WORD_LIST_INDEX));
+  if (!response.ok) {
+    throw new Error(`${WORD_LIST_INDEX}: ${response.status}`);
+  }
+  const index = await response.clone().json();
+  await cache.put(WORD_LIST_INDEX, response);
+  await cache.addAll(index.map(info => freshRequest(`./wordlists/${info.file}`)));
+}
 
-                    // If the resource is not cached, fetch it from the network
-                    return fetch(event.request).catch(function() {
-                        // If the network is unavailable, serve the offline page for HTML requests
-                        if (event.request.headers.get('accept').includes('text/html')) {
-                            return caches.match('./offline.html');
-                        }
-                    });
-                })
-            );
-        });
-    })
-    .catch(error => {
-        console.error('Failed to load manifest:', error);
-    });
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => Promise.all([
+      cache.addAll(PRECACHE_URLS.map(freshRequest)),
+      cacheWordLists(cache),
+    ]))
+  );
+});
 
+// The game asks for the waiting version (see applyUpdate() in updates.js)
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skipWaiting') {
+    self.skipWaiting();
+  }
+});
+
+// Deletes the caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name !== CACHE_NAME && (name.startsWith(CACHE_PREFIX) || name.startsWith('labyrinth-cache')))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || !request.url.startsWith('http')) {
+    return;
+  }
+  if (new URL(request.url).pathname.endsWith('/manifest.json')) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+// Keeps a good response for next time
+async function fetchAndCache(request) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cached = await caches.match(request);
+  const fresh = fetchAndCache(request);
+  if (cached) {
+    event.waitUntil(fresh.catch(() => {}));  // offline: the cached copy will do
+    return cached;
+  }
+  try {
+    return await fresh;
+  } catch (err) {
+    return offlineFallback(request, err);
+  }
+}
+
+async function networkFirst(request) {
+  try {
+    return await fetchAndCache(request);
+  } catch (err) {
+    const cached = await caches.match(request);
+    return cached || offlineFallback(request, err);
+  }
+}
+
+// Pages that aren't cached get the offline page; anything else fails
+async function offlineFallback(request, err) {
+  if (request.mode === 'navigate') {
+    const page = await caches.match('./offline.html');
+    if (page) {
+      return page;
+    }
+  }
+  throw err;
+}
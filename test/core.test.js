@@ -0,0 +1,417 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GameState,
+  GridSnake,
+  Snake,
+  SEGMENT_SIZE,
+  STEP_MS,
+  LEVEL_UP_WORDS,
+  getLevelSettings,
+  getLevelRoom,
+  HINT_COST,
+  TIME_ATTACK_MS,
+  SURVIVAL_DECAY_MS,
+  getNumberOfExtraLetters,
+} from '../core.js';
+import { Random } from '../rng.js';
+
+const ROOM = { x: 40, y: 80, width: 400, height: 400 };
+
+function makeState(words, options = {}) {
+  const state = new GameState({
+    words,
+    primaryLang: 'sv',
+    newLang: 'en',
+    room: ROOM,
+    random: new Random(options.seed ?? 1),
+    ...options,
+  });
+  state.start();
+  return state;
+}
+
+const CAT = { primary: ['katt'], newLang: ['cat'], difficulty: 1 };
+
+// Collects the given letters one after another, as if the snake ran into them
+function pick(state, letters) {
+  for (const letter of letters) {
+    state.processLetter({ id: 0, letter, x: 0, y: 0 });
+  }
+}
+
+function eventTypes(events) {
+  return events.map(event => event.type);
+}
+
+test('places tiles for the answer and extra letters for the level', () => {
+  const state = makeState([CAT]);
+  assert.equal(state.prompt, 'katt');
+  assert.deepEqual(state.answers, ['cat']);
+  const letters = state.lettersOnField.map(l => l.letter);
+  assert.equal(letters.length, 3 + getNumberOfExtraLetters(1));
+  for (const ch of 'cat') {
+    assert.ok(letters.includes(ch));
+  }
+  assert.deepEqual(eventTypes(state.takeEvents()), ['newWord']);
+});
+
+test('spelling the word in order grows the snake and completes the word', () => {
+  const state = makeState([CAT]);
+  state.takeEvents();
+  pick(state, 'ca');
+  assert.equal(state.spelledLetters, 'ca');
+  assert.equal(state.length, 5);
+  pick(state, 't');
+  const events = state.takeEvents();
+  assert.deepEqual(eventTypes(events), ['correct', 'correct', 'correct', 'wordCompleted', 'newWord']);
+  const completed = events.find(event => event.type === 'wordCompleted');
+  assert.equal(completed.answer, 'cat');
+  assert.equal(completed.wrongLetters, 0);
+  // A new word starts from scratch
+  assert.equal(state.spelledLetters, '');
+  assert.equal(state.bestLength, 6);
+});
+
+test('any accepted answer can be spelled', () => {
+  const uncle = { primary: ['uncle'], newLang: ['morbror', 'farbror'], difficulty: 1 };
+  const state = makeState([uncle]);
+  state.takeEvents();
+  pick(state, 'farbror');
+  const completed = state.takeEvents().find(event => event.type === 'wordCompleted');
+  assert.equal(completed.answer, 'farbror');
+});
+
+test('relaxed spelling fills in spaces and ignores case, strict does not', () => {
+  const words = [{ primary: ['jag har'], newLang: ['I have'], difficulty: 1 }];
+  const relaxed = makeState(words);
+  pick(relaxed, 'i');
+  assert.equal(relaxed.spelledLetters, 'I ');
+
+  const strict = makeState(words, { spelling: 'strict' });
+  pick(strict, 'i');
+  assert.equal(strict.spelledLetters, '');
+  assert.equal(strict.wrongLetters, 1);
+  pick(strict, 'I ');
+  assert.equal(strict.spelledLetters, 'I ');
+});
+
+test('the spelling flags can be set one by one', () => {
+  const words = [{ primary: ['jag har'], newLang: ['I have'], difficulty: 1 }];
+  // Spaces collected, case ignored
+  const state = makeState(words, { spelling: { autoFillSpaces: false, ignoreCase: true } });
+  assert.deepEqual(state.spelling, { autoFillSpaces: false, autoFillPunctuation: true, ignoreCase: true });
+  pick(state, 'i');
+  assert.equal(state.spelledLetters, 'I');
+  pick(state, ' h');
+  assert.equal(state.spelledLetters, 'I h');
+  assert.equal(state.wrongLetters, 0);
+});
+
+test('reverse direction shows the new-language word and spells the primary one', () => {
+  const state = makeState([CAT], { direction: 'reverse' });
+  assert.equal(state.prompt, 'cat');
+  assert.deepEqual(state.answers, ['katt']);
+});
+
+test('a wrong letter shrinks the snake and is not placed again', () => {
+  const state = makeState([CAT]);
+  state.takeEvents();
+  const before = state.lettersOnField.length;
+  pick(state, 'x');
+  assert.equal(state.length, 2);
+  assert.equal(state.wrongLetters, 1);
+  assert.equal(state.lettersOnField.length, before);
+  assert.deepEqual(eventTypes(state.takeEvents()), ['wrong']);
+});
+
+test('a letter of the word taken out of order is placed again', () => {
+  const state = makeState([CAT]);
+  const before = state.lettersOnField.length;
+  pick(state, 't');
+  assert.equal(state.length, 2);
+  assert.equal(state.lettersOnField.length, before + 1);
+  assert.equal(state.lettersOnField[state.lettersOnField.length - 1].letter, 't');
+  // Once collected, a letter that is no longer needed does not come back
+  pick(state, 'c');
+  const count = state.lettersOnField.length;
+  pick(state, 'c');
+  assert.equal(state.lettersOnField.length, count);
+});
+
+test('losing the last segment ends the game', () => {
+  const state = makeState([CAT]);
+  state.takeEvents();
+  pick(state, 'xxx');
+  assert.equal(state.over, true);
+  const events = state.takeEvents();
+  assert.deepEqual(events[events.length - 1], { type: 'gameOver', reason: 'empty' });
+  // Nothing happens after the game is over
+  state.step(STEP_MS);
+  assert.deepEqual(state.takeEvents(), []);
+});
+
+test('running into the wall ends the game', () => {
+  const state = makeState([CAT]);
+  state.lettersOnField = [];
+  state.takeEvents();
+  for (let i = 0; i < 100000 && !state.over; i++) {
+    state.step(STEP_MS);
+  }
+  assert.equal(state.over, true);
+  assert.deepEqual(state.takeEvents(), [{ type: 'gameOver', reason: 'wall' }]);
+  assert.ok(state.snake.head.x > ROOM.x + ROOM.width);
+});
+
+test('running into its own body cuts off the tail', () => {
+  const state = makeState([CAT], { movement: 'classic' });
+  state.snake = new GridSnake(210, 210, 5);
+  state.lettersOnField = [];
+  state.takeEvents();
+
+  // Down, left, up: the head comes back onto the body
+  state.setDirection(0, 1);
+  state.setDirection(-1, 0);
+  state.setDirection(0, -1);
+  const interval = state.snake.tickInterval;
+  for (let i = 0; i < 3; i++) {
+    state.step(interval);
+  }
+  assert.deepEqual(state.takeEvents(), [{ type: 'selfHit', index: 4 }]);
+  assert.equal(state.length, 4);
+  assert.equal(state.over, false);
+});
+
+test('the grid snake ignores reversals and queues turns', () => {
+  const snake = new GridSnake(210, 210);
+  snake.setDirection(-1, 0); // reversal
+  snake.setDirection(1, 0);  // same direction
+  assert.deepEqual(snake.turnQueue, []);
+  snake.setDirection(0, 1);
+  snake.setDirection(-1, 0);
+  snake.step();
+  snake.step();
+  assert.deepEqual(snake.direction, { x: -1, y: 0 });
+  assert.deepEqual({ x: snake.head.x, y: snake.head.y }, { x: 210 - SEGMENT_SIZE, y: 210 + SEGMENT_SIZE });
+});
+
+test('the smooth snake keeps quick turns and makes them a segment apart', () => {
+  const snake = new Snake(200, 200);
+  snake.setDirection(0, 1);
+  snake.setDirection(-1, 0);
+  snake.update(STEP_MS);
+  assert.deepEqual(snake.direction, { x: 0, y: 1 });
+  assert.equal(snake.turnQueue.length, 1);
+  while (snake.turnQueue.length > 0) {
+    snake.update(STEP_MS);
+  }
+  assert.deepEqual(snake.direction, { x: -1, y: 0 });
+  assert.ok(snake.head.y >= 200 + SEGMENT_SIZE);
+});
+
+test('the smooth snake keeps its segments apart while moving', () => {
+  const snake = new Snake(200, 200);
+  for (let i = 0; i < 60; i++) {
+    snake.update(STEP_MS * 4);
+  }
+  assert.equal(snake.findSelfHit(), -1);
+  assert.ok(snake.head.x > 200);
+});
+
+test('the same seed and inputs give the same game', () => {
+  const play = (seed) => {
+    const words = [CAT, { primary: ['hund'], newLang: ['dog'], difficulty: 1 }];
+    const state = makeState(words, { seed, direction: 'mixed' });
+    const log = [];
+    for (let i = 0; i < 600 && !state.over; i++) {
+      if (i === 100) state.setDirection(0, 1);
+      if (i === 300) state.setDirection(-1, 0);
+      state.step(STEP_MS);
+      log.push(...state.takeEvents().map(event => event.type));
+    }
+    return {
+      log,
+      prompt: state.prompt,
+      head: { ...state.snake.head },
+      letters: state.lettersOnField.map(l => `${l.letter}@${l.x},${l.y}`),
+    };
+  };
+  assert.deepEqual(play(42), play(42));
+  assert.notDeepEqual(play(42).letters, play(43).letters);
+});
+
+test('the seeded random generator repeats its sequence', () => {
+  const a = new Random('2026-10-19');
+  const b = new Random('2026-10-19');
+  const c = new Random('2026-10-20');
+  const sequenceA = Array.from({ length: 20 }, () => a.frac());
+  assert.deepEqual(sequenceA, Array.from({ length: 20 }, () => b.frac()));
+  assert.notDeepEqual(sequenceA, Array.from({ length: 20 }, () => c.frac()));
+  for (let i = 0; i < 1000; i++) {
+    const value = a.between(3, 5);
+    assert.ok(Number.isInteger(value) && value >= 3 && value <= 5);
+  }
+});
+
+test('spelling enough words with few mistakes moves up a level', () => {
+  const state = makeState([CAT]);
+  for (let i = 0; i < LEVEL_UP_WORDS; i++) {
+    assert.equal(state.level, 1);
+    pick(state, 'cat');
+  }
+  assert.equal(state.level, 2);
+  assert.equal(state.betweenLevels, true);
+  const events = state.takeEvents();
+  assert.deepEqual(events[events.length - 1], { type: 'levelUp', level: 2, settings: getLevelSettings(2) });
+
+  // The game waits for the level-up screen
+  const time = state.time;
+  state.step(STEP_MS);
+  assert.equal(state.time, time);
+
+  const length = state.length;
+  state.startNextLevel();
+  assert.equal(state.length, length);
+  assert.equal(state.snake.speed, getLevelSettings(2).speed);
+  assert.equal(state.lettersOnField.length, 3 + getLevelSettings(2).extraLetters);
+  assert.deepEqual(state.levelProgress().words, 0);
+  assert.deepEqual(eventTypes(state.takeEvents()), ['newWord']);
+});
+
+test('the letter that finishes a level, run into, stops the letter checks', () => {
+  const state = makeState([CAT]);
+  for (let i = 0; i < LEVEL_UP_WORDS - 1; i++) {
+    pick(state, 'cat');
+  }
+  pick(state, 'ca');
+  // The last tile of the word, at the end of the list, right in front of the head
+  const tile = state.lettersOnField.find(letterObj => letterObj.letter === 't');
+  state.lettersOnField.splice(state.lettersOnField.indexOf(tile), 1);
+  state.lettersOnField.push(tile);
+  tile.x = state.snake.head.x;
+  tile.y = state.snake.head.y - SEGMENT_SIZE / 2;
+  state.step(STEP_MS);
+  assert.equal(state.level, 2);
+  assert.equal(state.betweenLevels, true);
+  assert.deepEqual(state.lettersOnField, []);
+});
+
+test('too many mistakes keep the game on the same level', () => {
+  const state = makeState([CAT]);
+  for (let i = 0; i < LEVEL_UP_WORDS; i++) {
+    pick(state, 'xcat');
+  }
+  assert.equal(state.level, 1);
+  assert.equal(state.levelProgress().accuracy, 0.75);
+  pick(state, 'catcatcat');
+  assert.equal(state.level, 2);
+});
+
+test('higher levels have smaller rooms inside the play area', () => {
+  const area = { x: 40, y: 80, width: 800, height: 600 };
+  assert.deepEqual(getLevelRoom(area, 1), area);
+  const room = getLevelRoom(area, 0.7);
+  assert.deepEqual(room, { x: 160, y: 160, width: 560, height: 420 });
+  // Never smaller than a usable room
+  assert.ok(getLevelRoom(area, 0.01).width >= 12 * SEGMENT_SIZE);
+});
+
+test('hints point out the next tile, reveal letters and remove distractors', () => {
+  const state = makeState([CAT]);
+  pick(state, 'c');
+  state.takeEvents();
+  const length = state.length;
+
+  assert.equal(state.useHint(), true);
+  const hinted = state.lettersOnField.filter(l => state.hintedLetterIds.includes(l.id));
+  assert.ok(hinted.length > 0 && hinted.every(l => l.letter === 'a'));
+
+  assert.equal(state.useHint(), true);
+  assert.equal(state.revealed, 'cat');
+
+  const before = state.lettersOnField.length;
+  assert.equal(state.useHint(), true);
+  assert.ok(state.lettersOnField.length < before);
+  // The letters still needed are all there
+  for (const ch of 'at') {
+    assert.ok(state.lettersOnField.some(l => l.letter === ch));
+  }
+
+  assert.deepEqual(state.takeEvents(), [
+    { type: 'hint', kind: 'highlight' },
+    { type: 'hint', kind: 'reveal' },
+    { type: 'hint', kind: 'removeDistractors' },
+  ]);
+  assert.equal(state.length, length - 3 * HINT_COST);
+  pick(state, 'at');
+  const completed = state.takeEvents().find(event => event.type === 'wordCompleted');
+  assert.equal(completed.hintsUsed, 3);
+});
+
+test('a hint is not given when the snake cannot pay for it', () => {
+  const state = makeState([CAT]);
+  pick(state, 'xx');
+  assert.equal(state.length, 1);
+  assert.equal(state.useHint(), false);
+  assert.equal(state.over, false);
+});
+
+test('the speed setting scales the level speed of both movements', () => {
+  const smooth = makeState([CAT], { speedFactor: 1.25 });
+  assert.equal(smooth.snake.speed, getLevelSettings(1).speed * 1.25);
+  const classic = makeState([CAT], { movement: 'classic', speedFactor: 0.8 });
+  assert.equal(classic.snake.tick, Math.round(getLevelSettings(1).tick / 0.8));
+});
+
+test('time attack ends when the time is up and counts words', () => {
+  const state = makeState([CAT], { mode: 'timeAttack' });
+  state.lettersOnField = [];
+  pick(state, 'cat');
+  state.takeEvents();
+  state.time = TIME_ATTACK_MS - STEP_MS / 2;
+  state.step(STEP_MS);
+  assert.equal(state.overReason, 'time');
+  assert.equal(state.score, 1);
+});
+
+test('zen mode wraps around the walls and never shrinks', () => {
+  for (const movement of ['smooth', 'classic']) {
+    const state = makeState([CAT], { mode: 'zen', movement });
+    state.lettersOnField = [];
+    pick(state, 'xx');
+    assert.equal(state.length, 3);
+    for (let i = 0; i < 5000; i++) {
+      state.step(STEP_MS);
+    }
+    assert.equal(state.over, false);
+    const head = state.snake.head;
+    assert.ok(head.x >= ROOM.x && head.x <= ROOM.x + ROOM.width);
+    assert.equal(state.score, 3);
+  }
+});
+
+test('in survival the snake keeps losing segments', () => {
+  const state = makeState([CAT], { mode: 'survival' });
+  state.lettersOnField = [];
+  state.takeEvents();
+  const steps = Math.ceil(SURVIVAL_DECAY_MS / STEP_MS) + 1;
+  for (let i = 0; i < steps; i++) {
+    state.step(STEP_MS);
+  }
+  assert.equal(state.length, 2);
+  assert.deepEqual(state.takeEvents(), [{ type: 'decay' }]);
+});
+
+test('restarting a word clears what was spelled and places its letters again', () => {
+  const state = makeState([CAT]);
+  pick(state, 'cx');
+  state.takeEvents();
+  assert.equal(state.restartWord(), true);
+  assert.equal(state.spelledLetters, '');
+  assert.equal(state.wrongLetters, 1);
+  for (const ch of 'cat') {
+    assert.ok(state.lettersOnField.some(l => l.letter === ch));
+  }
+  assert.deepEqual(state.takeEvents(), [{ type: 'wordRestarted' }]);
+});
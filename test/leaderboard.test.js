@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LEADERBOARD_SIZE } from '../core.js';
+import { migrateScores, queryScores } from '../leaderboard.js';
+
+function entry(fields) {
+  return {
+    name: 'Ann', date: 0, mode: 'classic', wordListId: 'a', wordListName: 'A',
+    words: 1, accuracy: 1, maxLength: 3, score: 3, ...fields,
+  };
+}
+
+test('old number-only leaderboards become scores', () => {
+  const scores = migrateScores({ classic: [9, 'x', 4], timeAttack: [7] });
+  assert.equal(scores.length, 3);
+  assert.deepEqual(scores.map(s => [s.mode, s.score, s.maxLength, s.words]), [
+    ['classic', 9, 9, null],
+    ['classic', 4, 4, null],
+    ['timeAttack', 7, null, 7],
+  ]);
+  assert.equal(scores[0].date, null);
+});
+
+test('leaderboards filter by mode and word list and sort by any field', () => {
+  const scores = [
+    entry({ score: 5, date: 3, accuracy: 0.5 }),
+    entry({ score: 9, date: 1, accuracy: null }),
+    entry({ score: 7, date: 2, accuracy: 0.9, wordListId: 'b' }),
+    entry({ score: 20, mode: 'zen' }),
+  ];
+  const classic = { mode: 'classic' };
+  assert.deepEqual(queryScores(scores, classic).map(s => s.score), [9, 7, 5]);
+  assert.deepEqual(queryScores(scores, { ...classic, sortBy: 'date' }).map(s => s.score), [5, 7, 9]);
+  // Unknown values last
+  assert.deepEqual(queryScores(scores, { ...classic, sortBy: 'accuracy' }).map(s => s.score), [7, 5, 9]);
+  assert.deepEqual(queryScores(scores, { wordListId: 'a', limit: 2 }).map(s => s.score), [20, 9]);
+});
+
+test('a leaderboard shows the best few scores', () => {
+  const scores = [3, 9, 1, 7, 5, 6].map(score => entry({ score }));
+  assert.equal(LEADERBOARD_SIZE, 5);
+  assert.deepEqual(queryScores(scores).map(s => s.score), [9, 7, 6, 5, 3]);
+});
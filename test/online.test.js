@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SnapshotBuffer, interpolateSnapshots, getServerUrl } from '../online.js';
+
+function snapshot(time, x) {
+  return { time, prompt: 'katt', players: [{ segments: [{ x, y: 100 }, { x: x - 20, y: 100 }] }], letters: [] };
+}
+
+test('snakes are drawn between the two states around the time', () => {
+  const states = [snapshot(0, 100), snapshot(50, 120), snapshot(100, 140)];
+  const drawn = interpolateSnapshots(states, 75);
+  assert.deepEqual(drawn.players[0].segments, [{ x: 130, y: 100 }, { x: 110, y: 100 }]);
+  assert.equal(interpolateSnapshots(states, -10), states[0]);
+  assert.equal(interpolateSnapshots(states, 500), states[2]);
+  assert.equal(interpolateSnapshots([], 0), null);
+});
+
+test('a segment that was lost stays where it was', () => {
+  const later = snapshot(50, 120);
+  later.players[0].segments.pop();
+  const drawn = interpolateSnapshots([snapshot(0, 100), later], 25);
+  assert.deepEqual(drawn.players[0].segments, [{ x: 110, y: 100 }, { x: 80, y: 100 }]);
+});
+
+test('the buffer draws a little in the past and forgets old states', () => {
+  const buffer = new SnapshotBuffer(100);
+  assert.equal(buffer.sample(0), null);
+  for (let time = 0; time <= 500; time += 50) {
+    buffer.push(snapshot(time, time), 1000 + time);
+  }
+  assert.equal(buffer.sample(1500).players[0].segments[0].x, 400);
+  assert.equal(buffer.latest.time, 500);
+  assert.ok(buffer.snapshots.length <= 4);
+});
+
+test('the server address comes from the page', () => {
+  assert.equal(getServerUrl({ search: '?server=ws://example.test:9000', protocol: 'http:', hostname: 'a' }),
+    'ws://example.test:9000');
+  assert.equal(getServerUrl({ search: '', protocol: 'https:', hostname: 'game.test' }), 'wss://game.test:8080');
+});
@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  loadProfiles,
+  getCurrentProfile,
+  selectProfile,
+  createProfile,
+  deleteProfile,
+  exportProfile,
+  parseProfile,
+  importProfile,
+  storage,
+} from '../profiles.js';
+
+// Just enough of localStorage
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+  get length() {
+    return this.items.size;
+  }
+  key(i) {
+    return [...this.items.keys()][i] ?? null;
+  }
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+beforeEach(() => {
+  globalThis.localStorage = new MemoryStorage();
+});
+
+test('data from before profiles becomes the first profile\'s', () => {
+  localStorage.setItem('wordSnakeSettings', '{"theme":"light"}');
+  localStorage.setItem('somethingElse', 'x');
+  const [first] = loadProfiles();
+  assert.equal(storage.getItem('wordSnakeSettings'), '{"theme":"light"}');
+  assert.equal(localStorage.getItem('wordSnakeSettings'), null);
+  assert.equal(localStorage.getItem('somethingElse'), 'x');
+  assert.equal(getCurrentProfile().id, first.id);
+});
+
+test('every profile has its own data', () => {
+  storage.setItem('wordSnakeScores', '[1]');
+  const other = createProfile('Bo');
+  selectProfile(other.id);
+  assert.equal(storage.getItem('wordSnakeScores'), null);
+  storage.setItem('wordSnakeScores', '[2]');
+
+  const first = loadProfiles()[0];
+  selectProfile(first.id);
+  assert.equal(storage.getItem('wordSnakeScores'), '[1]');
+
+  assert.equal(deleteProfile(other.id), true);
+  assert.equal(localStorage.length, 3); // the list, the current one and '[1]'
+  assert.equal(deleteProfile(first.id), false);
+});
+
+test('an exported profile can be imported on another device', () => {
+  const profile = getCurrentProfile();
+  storage.setItem('wordSnakeStats', '{"words":{}}');
+  const text = JSON.stringify(exportProfile(profile.id));
+
+  globalThis.localStorage = new MemoryStorage();
+  const { profile: exported } = parseProfile(text);
+  const imported = importProfile(exported);
+  assert.equal(imported.name, 'Player 1 (2)');
+  selectProfile(imported.id);
+  assert.equal(storage.getItem('wordSnakeStats'), '{"words":{}}');
+
+  assert.match(parseProfile('{"version": 1, "name": "A", "data": {"k": 1}}').error, /damaged/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState, STEP_MS } from '../core.js';
+import { Random } from '../rng.js';
+import { ReplayRecorder, parseReplay } from '../replay.js';
+
+const ROOM = { x: 40, y: 80, width: 400, height: 400 };
+const WORD_LIST = {
+  id: 'test',
+  name: 'Test',
+  primaryLang: 'sv',
+  newLang: 'en',
+  words: [
+    { primary: ['katt'], newLang: ['cat'], difficulty: 1 },
+    { primary: ['hund'], newLang: ['dog'], difficulty: 1 },
+    { primary: ['häst'], newLang: ['horse'], difficulty: 1 },
+  ],
+};
+const SETTINGS = { direction: 'mixed', spelling: 'relaxed', movement: 'classic', level: 1 };
+
+// Plays like GameScene: turns are recorded before the step they apply to
+function record(seed, turns, steps) {
+  // Word choice that the replay cannot know about, like the scheduler's
+  let picks = 0;
+  const scheduler = { pickNext: (words) => words[picks++ % words.length] };
+  const state = new GameState({
+    ...SETTINGS, words: WORD_LIST.words, room: ROOM, random: new Random(seed), scheduler,
+  });
+  const recorder = new ReplayRecorder({
+    ...SETTINGS, seed, wordList: WORD_LIST, room: ROOM, speedScale: 1, screen: { width: 480, height: 600 },
+  });
+  const recordWords = () => state.takeEvents()
+    .filter(event => event.type === 'newWord')
+    .forEach(event => recorder.recordWord(state, event));
+  state.start();
+  recordWords();
+  for (let i = 0; i < steps && !state.over; i++) {
+    if (turns[i]) {
+      state.setDirection(...turns[i]);
+      recorder.recordInput(state, ...turns[i], 'key');
+    }
+    state.step(STEP_MS);
+    recordWords();
+  }
+  return { state, replay: recorder.finish(state, state.overReason || 'quit') };
+}
+
+// Plays like ReplayScene
+function play(replay) {
+  const settings = replay.settings;
+  const state = new GameState({
+    ...settings,
+    words: replay.wordList.words,
+    random: new Random(replay.seed),
+    wordSequence: replay.words.map(entry => entry.word),
+  });
+  state.start();
+  let next = 0;
+  while (!state.over && state.stepCount < replay.result.steps) {
+    while (next < replay.inputs.length && replay.inputs[next].step <= state.stepCount) {
+      state.setDirection(replay.inputs[next].dx, replay.inputs[next].dy);
+      next++;
+    }
+    state.step(STEP_MS);
+  }
+  return state;
+}
+
+function snapshot(state) {
+  return {
+    time: state.time,
+    over: state.over,
+    prompt: state.prompt,
+    spelled: state.spelledLetters,
+    segments: state.snake.segments.map(seg => `${seg.x},${seg.y}`),
+    letters: state.lettersOnField.map(l => `${l.letter}@${l.x},${l.y}`),
+  };
+}
+
+test('a replay plays the recorded game again', () => {
+  const turns = { 30: [0, 1], 80: [-1, 0], 130: [0, -1], 180: [1, 0] };
+  const { state, replay } = record(7, turns, 2000);
+  assert.equal(replay.inputs.length, 4);
+  assert.equal(replay.words[0].step, 0);
+
+  // Through JSON, as when exported and imported
+  const { replay: imported } = parseReplay(JSON.stringify(replay));
+  assert.deepEqual(snapshot(play(imported)), snapshot(state));
+});
+
+test('broken replay files are rejected', () => {
+  assert.match(parseReplay('not json').error, /Not a JSON file/);
+  assert.match(parseReplay('{"version": 99}').error, /Not a Word Snake replay/);
+  assert.match(parseReplay('{"version": 1, "seed": 1}').error, /incomplete/);
+});
+
+test('replays that cannot be played are rejected', () => {
+  const { replay } = record(7, { 30: [0, 1] }, 100);
+  const damaged = change => {
+    const copy = JSON.parse(JSON.stringify(replay));
+    change(copy);
+    return parseReplay(JSON.stringify(copy)).error;
+  };
+  assert.equal(damaged(() => {}), undefined);
+  assert.match(damaged(r => { r.settings.room.width = 0; }), /bad room/);
+  assert.match(damaged(r => { delete r.settings.room; }), /bad room/);
+  assert.match(damaged(r => { r.settings.screen = null; }), /bad screen size/);
+  assert.match(damaged(r => { r.settings.speedScale = '1'; }), /bad speed/);
+  assert.match(damaged(r => { r.settings.level = 0; }), /bad level/);
+  assert.match(damaged(r => { delete r.result.steps; }), /bad result/);
+  assert.match(damaged(r => { r.words.push({ step: 1 }); }), /bad words/);
+  assert.match(damaged(r => { r.inputs[0].dx = 1; }), /bad inputs/);
+  assert.match(damaged(r => { r.inputs.push({ step: -1, hint: true }); }), /bad inputs/);
+  assert.match(damaged(r => { r.inputs.push(null); }), /bad inputs/);
+});
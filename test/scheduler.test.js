@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Scheduler, BOX_INTERVALS, MAX_BOX } from '../scheduler.js';
+
+const CAT = { primary: ['katt'], newLang: ['cat'], difficulty: 1 };
+const DOG = { primary: ['hund'], newLang: ['dog'], difficulty: 1 };
+const COW = { primary: ['ko'], newLang: ['cow'], difficulty: 1 };
+
+const MINUTE = 60 * 1000;
+
+// A random that shows which words pickNext chose among, and takes the first
+function firstOf(choices = []) {
+  return { pick: (words) => {
+    choices.push(words);
+    return words[0];
+  } };
+}
+
+test('a word spelled without mistakes moves up a box', () => {
+  const scheduler = new Scheduler({}, () => 0);
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  assert.equal(scheduler.boxOf(CAT), 2);
+});
+
+test('hints count as mistakes', () => {
+  const scheduler = new Scheduler({}, () => 0);
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  scheduler.recordResult(CAT, { wrongLetters: 0, hintsUsed: 1, timeToSpell: 1000 });
+  assert.equal(scheduler.boxOf(CAT), 2);
+  scheduler.recordResult(CAT, { wrongLetters: 1, hintsUsed: 2, timeToSpell: 1000 });
+  assert.equal(scheduler.boxOf(CAT), 1);
+  assert.equal(scheduler.getRecord(CAT).hintsUsed, 2);
+});
+
+test('a few mistakes keep a word in its box, more or giving up send it back to box 1', () => {
+  const scheduler = new Scheduler({}, () => 0);
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  scheduler.recordResult(CAT, { wrongLetters: 2, timeToSpell: 1000 });
+  assert.equal(scheduler.boxOf(CAT), 3);
+  scheduler.recordResult(CAT, { wrongLetters: 3, timeToSpell: 1000 });
+  assert.equal(scheduler.boxOf(CAT), 1);
+
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000, completed: false });
+  assert.equal(scheduler.boxOf(CAT), 1);
+  assert.equal(scheduler.getRecord(CAT).timeToSpell, null);
+});
+
+test('words never go above the last box', () => {
+  const scheduler = new Scheduler({}, () => 0);
+  for (let i = 0; i < MAX_BOX + 2; i++) {
+    scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  }
+  assert.equal(scheduler.boxOf(CAT), MAX_BOX);
+});
+
+test('each box waits longer until the word is due again', () => {
+  let now = 1000;
+  const scheduler = new Scheduler({}, () => now);
+  const record = scheduler.recordResult(CAT, { wrongLetters: 0, timeToSpell: 1000 });
+  assert.equal(record.due, 1000 + BOX_INTERVALS[2]);
+  assert.equal(BOX_INTERVALS[2], 10 * MINUTE);
+  assert.equal(scheduler.isDue(CAT), false);
+  now += 10 * MINUTE;
+  assert.equal(scheduler.isDue(CAT), true);
+
+  // Box 1 comes again straight away, every box after it waits longer
+  assert.equal(BOX_INTERVALS[1], 0);
+  for (let box = 2; box <= MAX_BOX; box++) {
+    assert.ok(BOX_INTERVALS[box] > BOX_INTERVALS[box - 1]);
+  }
+});
+
+test('due words come first, the least known before unseen ones', () => {
+  const now = 100 * MINUTE;
+  const scheduler = new Scheduler({
+    [Scheduler.key(CAT)]: { box: 3, lastSeen: 0, due: now - 1 },
+    [Scheduler.key(DOG)]: { box: 1, lastSeen: 0, due: now - 1 },
+  }, () => now);
+  const choices = [];
+  assert.equal(scheduler.pickNext([COW, CAT, DOG], firstOf(choices)), DOG);
+  // Only words as urgent as the first one are chosen among
+  assert.deepEqual(choices[0], [DOG]);
+
+  // A word that isn't due waits for the unseen one
+  scheduler.records[Scheduler.key(DOG)].due = now + MINUTE;
+  assert.equal(scheduler.pickNext([CAT, DOG, COW], firstOf()), COW);
+});
+
+test('without due words, the one due soonest comes', () => {
+  const now = 0;
+  const scheduler = new Scheduler({
+    [Scheduler.key(CAT)]: { box: 3, lastSeen: 0, due: now + 2 * MINUTE },
+    [Scheduler.key(DOG)]: { box: 4, lastSeen: 0, due: now + MINUTE },
+  }, () => now);
+  assert.equal(scheduler.pickNext([CAT, DOG], firstOf()), DOG);
+});
+
+test('the word just played is not picked again if there is another', () => {
+  const scheduler = new Scheduler({}, () => 0);
+  const choices = [];
+  assert.equal(scheduler.pickNext([CAT, DOG], firstOf(choices), CAT), DOG);
+  assert.deepEqual(choices[0], [DOG]);
+  // With one word it has to come again
+  assert.equal(scheduler.pickNext([CAT], firstOf(), CAT), CAT);
+});
@@ -0,0 +1,186 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+
+import { startServer } from '../server/server.js';
+import { CODE_LENGTH, CODE_LETTERS, validateWordList } from '../server/rooms.js';
+
+const WORD_LIST = {
+  name: 'Animals',
+  primaryLang: 'sv',
+  newLang: 'en',
+  words: [{ primary: ['katt'], newLang: ['cat'], difficulty: 1 }],
+};
+
+let server;
+
+before(async () => {
+  server = await startServer({ port: 0, graceMs: 200 });
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * A test client: keeps every message and can wait for one of a type
+ */
+async function connect() {
+  const socket = new WebSocket(`ws://localhost:${server.port}`);
+  const messages = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data);
+    messages.push(message);
+    waiting.filter(w => w.test(message)).forEach(w => {
+      waiting.splice(waiting.indexOf(w), 1);
+      w.resolve(message);
+    });
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return {
+    socket,
+    messages,
+    send: (message) => socket.send(JSON.stringify(message)),
+    // The next message of the type (and passing test) from now on
+    next: (type, test = () => true) => new Promise(resolve => {
+      waiting.push({ test: m => m.type === type && test(m), resolve });
+    }),
+    close: () => new Promise(resolve => {
+      socket.once('close', resolve);
+      socket.close();
+    }),
+  };
+}
+
+async function createRoom(name = 'Anna') {
+  const host = await connect();
+  const joined = host.next('joined');
+  host.send({ type: 'create', name, wordList: WORD_LIST, settings: { movement: 'classic' } });
+  return { host, joined: await joined };
+}
+
+test('word lists sent by a host are checked', () => {
+  assert.ok(validateWordList(WORD_LIST).wordList);
+  assert.match(validateWordList({ words: [] }).error, /1 to/);
+  assert.match(validateWordList({ words: [{ primary: 'katt' }] }).error, /Bad word/);
+  assert.match(validateWordList(null).error, /No word list/);
+});
+
+test('players create and join a room by its code', async () => {
+  const { host, joined } = await createRoom();
+  assert.equal(joined.code.length, CODE_LENGTH);
+  assert.ok([...joined.code].every(letter => CODE_LETTERS.includes(letter)));
+
+  const guest = await connect();
+  const lobby = host.next('lobby', m => m.players.length === 2);
+  guest.send({ type: 'join', code: joined.code.toLowerCase(), name: '  Ben  ' });
+  assert.deepEqual((await lobby).players.map(p => [p.name, p.host]), [['Anna', true], ['Ben', false]]);
+
+  const error = guest.next('error');
+  guest.send({ type: 'join', code: 'ZZZZ', name: 'Cleo' });
+  assert.match((await error).message, /already/);
+
+  await host.close();
+  await guest.close();
+});
+
+test('only the host starts, and everyone gets the state', async () => {
+  const { host, joined } = await createRoom();
+  const guest = await connect();
+  guest.send({ type: 'join', code: joined.code, name: 'Ben' });
+  await guest.next('joined');
+
+  const refused = guest.next('error');
+  guest.send({ type: 'start' });
+  assert.match((await refused).message, /host/);
+
+  const started = guest.next('started');
+  const state = guest.next('state');
+  host.send({ type: 'start' });
+  assert.equal((await started).you, 1);
+  const snapshot = await state;
+  assert.equal(snapshot.players.length, 2);
+  assert.equal(snapshot.prompt, 'katt');
+  assert.ok(snapshot.letters.length > 0);
+
+  // Turns move the snake on the server
+  const headY = snapshot.players[1].segments[0].y;
+  guest.send({ type: 'turn', dx: 0, dy: 1 });
+  const moved = await guest.next('state', m => m.players[1].segments[0].y > headY);
+  assert.ok(moved.players[1].segments[0].y > headY);
+
+  // The last player left wins
+  const over = host.next('over');
+  guest.send({ type: 'leave' });
+  assert.deepEqual([(await over).reason, (await over).winner], ['left', 0]);
+
+  await host.close();
+  await guest.close();
+});
+
+test('a dropped player can rejoin with their token, until the grace time is up', async () => {
+  const { host, joined } = await createRoom();
+  const guest = await connect();
+  guest.send({ type: 'join', code: joined.code, name: 'Ben' });
+  const { token } = await guest.next('joined');
+  await guest.close();
+
+  const back = await connect();
+  const rejoined = back.next('joined');
+  back.send({ type: 'rejoin', code: joined.code, token });
+  assert.equal((await rejoined).token, token);
+  const lobby = await host.next('lobby', m => m.players.every(p => p.connected));
+  assert.equal(lobby.players.length, 2);
+
+  // Gone for longer than the grace time: out of the room
+  await back.close();
+  await host.next('lobby', m => m.players.length === 1);
+  const late = await connect();
+  const error = late.next('error');
+  late.send({ type: 'rejoin', code: joined.code, token });
+  assert.equal((await error).left, true);
+
+  await late.close();
+  await host.close();
+});
+
+test('a player who rejoins a game still sees the snakes of those who left', async () => {
+  const { host, joined } = await createRoom();
+  const ben = await connect();
+  ben.send({ type: 'join', code: joined.code, name: 'Ben' });
+  await ben.next('joined');
+  const cleo = await connect();
+  cleo.send({ type: 'join', code: joined.code, name: 'Cleo' });
+  const { token } = await cleo.next('joined');
+  const started = cleo.next('started');
+  host.send({ type: 'start' });
+  assert.equal((await started).you, 2);
+
+  ben.send({ type: 'leave' });
+  await host.next('lobby', m => m.players.length === 2);
+  await cleo.close();
+
+  const back = await connect();
+  const restarted = back.next('started');
+  const state = back.next('state');
+  back.send({ type: 'rejoin', code: joined.code, token });
+  const message = await restarted;
+  assert.deepEqual([message.players, message.you], [['Anna', '', 'Cleo'], 2]);
+  assert.equal((await state).players.length, message.players.length);
+
+  await back.close();
+  await ben.close();
+  await host.close();
+});
+
+test('a room closes when everyone has gone', async () => {
+  const { host, joined } = await createRoom();
+  assert.ok(server.rooms.has(joined.code));
+  host.send({ type: 'leave' });
+  await host.close();
+  assert.equal(server.rooms.has(joined.code), false);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { THEMES, THEME_NAMES, validCustomKeys } from '../settings.js';
+
+test('every theme has every color, and a name', () => {
+  const colors = Object.keys(THEMES.dark).sort();
+  Object.entries(THEMES).forEach(([key, theme]) => {
+    assert.deepEqual(Object.keys(theme).sort(), colors, key);
+    assert.ok(THEME_NAMES[key], key);
+  });
+});
+
+test('your own keys need four different key codes', () => {
+  assert.equal(validCustomKeys({ up: 73, left: 74, down: 75, right: 76 }), true);
+  assert.equal(validCustomKeys({ up: 73, left: 73, down: 75, right: 76 }), false);
+  assert.equal(validCustomKeys({ up: 73, left: 74, down: 75 }), false);
+  assert.equal(validCustomKeys(null), false);
+});
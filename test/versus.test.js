@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { STEP_MS, getNumberOfExtraLetters } from '../core.js';
+import { Random } from '../rng.js';
+import { VersusState, VERSUS_WORDS } from '../versus.js';
+
+const ROOM = { x: 40, y: 80, width: 400, height: 400 };
+const CAT = { primary: ['katt'], newLang: ['cat'], difficulty: 1 };
+
+function makeState(options = {}) {
+  const state = new VersusState({
+    words: [CAT], primaryLang: 'sv', newLang: 'en', room: ROOM, random: new Random(1), ...options,
+  });
+  state.start();
+  state.takeEvents();
+  return state;
+}
+
+function pick(state, player, letters) {
+  for (const letter of letters) {
+    state.processPick(state.players[player], player, { id: 0, letter, x: 0, y: 0 });
+  }
+}
+
+test('both players get tiles for the word and spell it on their own', () => {
+  const state = makeState();
+  assert.equal(state.lettersOnField.length, 6 + getNumberOfExtraLetters(1));
+  pick(state, 0, 'ca');
+  pick(state, 1, 'c');
+  assert.equal(state.players[0].spelledLetters, 'ca');
+  assert.equal(state.players[1].spelledLetters, 'c');
+  pick(state, 1, 'x');
+  assert.equal(state.players[1].snake.segments.length, 3);
+});
+
+test('a letter taken from the other player turns up again', () => {
+  const state = makeState();
+  pick(state, 0, 'c');
+  state.lettersOnField = state.lettersOnField.filter(l => l.letter !== 'c');
+  // Player 1 takes the 'c' player 2 needs: wrong for them, back for player 2
+  pick(state, 0, 'c');
+  assert.equal(state.players[0].snake.segments.length, 3);
+  assert.equal(state.lettersOnField.filter(l => l.letter === 'c').length, 1);
+});
+
+test('the first to spell enough words wins', () => {
+  const state = makeState();
+  for (let i = 0; i < VERSUS_WORDS; i++) {
+    pick(state, 1, 'cat');
+  }
+  assert.equal(state.over, true);
+  const events = state.takeEvents();
+  assert.deepEqual(events[events.length - 1], { type: 'gameOver', reason: 'words', winner: 1 });
+});
+
+test('running into the other snake cuts its tail', () => {
+  const state = makeState({ movement: 'classic' });
+  state.lettersOnField = [];
+  const [first, second] = state.players;
+  // Put player 2's head right behind player 1's head
+  second.snake.head.x = first.snake.segments[1].x;
+  second.snake.head.y = first.snake.segments[1].y;
+  state.handleBites(second, 1);
+  assert.equal(first.snake.segments.length, 1);
+  assert.deepEqual(state.takeEvents(), [{ type: 'bitten', player: 0, index: 1 }]);
+  // Snakes that leave the room lose
+  for (let i = 0; i < 10000 && !state.over; i++) {
+    state.step(STEP_MS);
+  }
+  assert.equal(state.overReason, 'wall');
+});
+
+test('with more players, the game goes on until one is left', () => {
+  const state = makeState({ players: 3 });
+  assert.equal(state.players.length, 3);
+  assert.equal(state.lettersOnField.length, 9 + getNumberOfExtraLetters(1));
+  state.removePlayer(1);
+  assert.equal(state.over, false);
+  assert.deepEqual(state.takeEvents(), [{ type: 'out', player: 1, reason: 'left' }]);
+  state.removePlayer(0);
+  assert.equal(state.over, true);
+  assert.equal(state.winner, 2);
+});
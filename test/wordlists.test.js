@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseWordList, serializeWordList } from '../wordlists.js';
+
+const WORDS = [
+  { primary: ['katt'], newLang: ['cat'], difficulty: 1 },
+  { primary: ['morbror', 'farbror'], newLang: ['uncle'], difficulty: 2 },
+  { primary: ['"hej", sa hon'], newLang: ['"hi",\tshe said'], difficulty: 3 },
+];
+
+test('rows without a header are primary, newLang, difficulty', () => {
+  const { words, errors } = parseWordList('katt,cat,1\r\nmorbror|farbror , uncle,2\n\n', 'csv');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(words, WORDS.slice(0, 2));
+});
+
+test('a header row decides the column order', () => {
+  const { words, errors } = parseWordList('difficulty\tnewLang\tprimary\n1\tcat\tkatt\n', 'tsv');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(words, [WORDS[0]]);
+
+  assert.match(parseWordList('primary,newLang\nkatt,cat\n', 'csv').errors[0], /missing the column\(s\): difficulty/);
+});
+
+test('a word row is never taken for a header', () => {
+  const { words } = parseWordList('primary,first,1\nkatt,cat,1\n', 'csv');
+  assert.deepEqual(words, [
+    { primary: ['primary'], newLang: ['first'], difficulty: 1 },
+    WORDS[0],
+  ]);
+});
+
+test('a byte order mark before the header is ignored', () => {
+  const { words, errors } = parseWordList('\uFEFFprimary,newLang,difficulty\nkatt,cat,1\n', 'csv');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(words, [WORDS[0]]);
+  assert.deepEqual(parseWordList('\uFEFF[]', 'json'), { words: [], errors: [] });
+});
+
+test('quoted fields hold separators, quotes and line breaks', () => {
+  const { words, errors } = parseWordList('"a, b","say ""hi""\nthere",1\n', 'csv');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(words, [{ primary: ['a, b'], newLang: ['say "hi"\nthere'], difficulty: 1 }]);
+});
+
+test('bad rows are rejected with where and why, the rest is kept', () => {
+  const { words, errors } = parseWordList('katt,cat\n,dog,1\nhäst,horse,x\nko,cow,1\n', 'csv');
+  assert.deepEqual(words, [{ primary: ['ko'], newLang: ['cow'], difficulty: 1 }]);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^Row 1: expected 3 columns, found 2/);
+  assert.match(errors[1], /^Row 2: primary word is missing/);
+  assert.match(errors[2], /^Row 3: difficulty must be a whole number/);
+
+  const json = parseWordList('[{ "primary": ["katt"], "newLang": "cat", "difficulty": 1 }, 5]', 'json');
+  assert.deepEqual(json.words, [WORDS[0]]);
+  assert.match(json.errors[0], /^Entry 2/);
+  assert.match(parseWordList('{', 'json').errors[0], /Not valid JSON/);
+});
+
+test('exported lists read back the same in every format', () => {
+  for (const format of ['json', 'csv', 'tsv']) {
+    const { words, errors } = parseWordList(serializeWordList(WORDS, format), format);
+    assert.deepEqual(errors, [], format);
+    assert.deepEqual(words, WORDS, format);
+  }
+});
@@ -0,0 +1,104 @@
+/*******************************************************************
+ * updates.js
+ * Registers the service worker (sw.js) and tells the game when a new
+ * version is ready: its files are cached and it waits for the player to
+ * reload (the "New version" button in BootScene).
+ *
+ * A new version is noticed when manifest.json has another version than
+ * the one playing; checkForUpdate() looks every time the title screen
+ * is shown.
+ *******************************************************************/
+
+const listeners = new Set();
+let waitingWorker = null;
+let registration = null;
+
+function hasServiceWorker() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+function notify(worker) {
+  waitingWorker = worker;
+  listeners.forEach(listener => listener());
+}
+
+// Waits for a worker being installed to be ready
+function watchInstalling(worker) {
+  worker.addEventListener('statechange', () => {
+    // Without a controller this is the first install, nothing to reload
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      notify(worker);
+    }
+  });
+}
+
+/**
+ * Registers the worker of this version
+ */
+export function registerServiceWorker(version) {
+  if (!hasServiceWorker()) {
+    return;
+  }
+  register(version);
+  // Reload once the new version has taken over
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (waitingWorker && !reloading) {
+      reloading = true;
+      window.location.reload();
+    }
+  });
+}
+
+function register(version) {
+  return navigator.serviceWorker.register(`sw.js?v=${encodeURIComponent(version)}`)
+    .then(reg => {
+      registration = reg;
+      if (reg.waiting && navigator.serviceWorker.controller) {
+        notify(reg.waiting);
+      }
+      if (reg.installing) {
+        watchInstalling(reg.installing);
+      }
+      reg.addEventListener('updatefound', () => watchInstalling(reg.installing));
+    })
+    .catch(err => console.error('Could not register the service worker:', err));
+}
+
+/**
+ * Installs the version in manifest.json if it isn't the one playing
+ */
+export function checkForUpdate(currentVersion) {
+  if (!hasServiceWorker() || !registration || waitingWorker) {
+    return;
+  }
+  fetch('./manifest.json', { cache: 'no-store' })
+    .then(response => response.json())
+    .then(manifest => {
+      if (manifest.version && manifest.version !== currentVersion) {
+        register(manifest.version);
+      }
+    })
+    .catch(() => {}); // offline: try again next time
+}
+
+/**
+ * Calls listener() when a new version is ready (right away if one is).
+ * Returns a function that stops it.
+ */
+export function onUpdateReady(listener) {
+  listeners.add(listener);
+  if (waitingWorker) {
+    listener();
+  }
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Switches to the new version; the page reloads when it has taken over
+ */
+export function applyUpdate() {
+  if (waitingWorker) {
+    waitingWorker.postMessage({ type: 'skipWaiting' });
+  }
+}
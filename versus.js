@@ -0,0 +1,301 @@
+/*******************************************************************
+ * versus.js
+ * Snakes racing each other to spell the same word in the same room:
+ * two players on one screen (VersusScene in game.js), or up to
+ * MAX_PLAYERS over the network (server/rooms.js).
+ *
+ * - The answer's tiles are placed once for each player; every tile taken
+ *   is judged for the snake that took it, as in a one-player game.
+ * - Taking a letter another player needs next costs a segment (it is
+ *   wrong for you), and their letter turns up somewhere else.
+ * - A snake's head running into another snake cuts that snake's tail
+ *   off from there, like running into your own body does.
+ * - Whoever spells VERSUS_WORDS words first wins. A snake that hits the
+ *   wall or loses its last segment is out (so is a player that left, see
+ *   removePlayer()); the last one left wins.
+ *
+ * Besides the GameState events (with a `player` index on 'correct',
+ * 'wrong', 'wordCompleted' and 'selfHit'), VersusState reports
+ *    { type: 'bitten', player, index }    player's tail cut off at index
+ *    { type: 'out', player, reason }      'wall', 'empty' or 'left'
+ *    { type: 'gameOver', reason, winner } reason 'words' or why the last
+ *                                         but one player went out; winner
+ *                                         is a player index or null (draw)
+ *******************************************************************/
+
+import {
+  GameState,
+  GridSnake,
+  Snake,
+  SEGMENT_SIZE,
+  getLevelSettings,
+  getLevelRoom,
+} from './core.js';
+import { autoFill, lettersMatch, matchingAnswers, tilesForAnswers, tileLetter } from './alphabets.js';
+
+export const VERSUS_WORDS = 5;      // words needed to win
+export const MAX_PLAYERS = 4;
+
+export class VersusState extends GameState {
+  /**
+   * Takes the GameState options and
+   *    players: number of players (default 2, at most MAX_PLAYERS)
+   * The game stays on its starting level and has no hints or modes.
+   */
+  constructor(options) {
+    super({ ...options, mode: 'classic', scheduler: null, wordSequence: null });
+    this.winner = null;
+    // super() set up the room before the number of players was known
+    this.playerCount = Math.min(options.players || 2, MAX_PLAYERS);
+    this.applyLevel();
+  }
+
+  /**
+   * Sets up the room and the snakes, in pairs: player 1 starts on the
+   * right heading left, player 2 on the left heading right, players 3
+   * and 4 likewise in a row below them
+   */
+  applyLevel() {
+    this.levelSettings = getLevelSettings(this.level);
+    this.levelWords = 0;
+    this.levelCorrect = 0;
+    this.levelWrong = 0;
+    this.room = getLevelRoom(this.area, this.levelSettings.room);
+
+    const count = this.playerCount || 2;
+    const rows = Math.ceil(count / 2);
+    this.players = Array.from({ length: count }, (_, i) => {
+      const y = this.room.y + this.room.height * (Math.floor(i / 2) + 1) / (rows + 1);
+      return i % 2 === 0
+        ? this.createPlayer(this.room.x + this.room.width * 3 / 4, y, -1)
+        : this.createPlayer(this.room.x + this.room.width / 4, y, 1);
+    });
+    this.snake = this.players[0].snake;
+  }
+
+  createPlayer(x, y, dx) {
+    let snake;
+    if (this.movement === 'classic') {
+      snake = new GridSnake(x, y);
+      snake.tick = Math.round(this.levelSettings.tick / this.speedFactor);
+    } else {
+      snake = new Snake(x, y);
+      snake.speed = this.levelSettings.speed * this.speedFactor;
+    }
+    // The body trails behind the head
+    snake.direction = { x: dx, y: 0 };
+    snake.segments.forEach((seg, i) => {
+      seg.x = snake.head.x - dx * i * SEGMENT_SIZE;
+      seg.prevX = seg.x;
+    });
+    return {
+      snake,
+      spelledLetters: '',
+      wrongLetters: 0,
+      wordsWon: 0,
+      bestLength: snake.segments.length,
+      out: false,         // hit the wall, lost all segments or left
+      frozen: false,      // doesn't move (while an online player reconnects)
+    };
+  }
+
+  // The players still in the game
+  get playersIn() {
+    return this.players.filter(player => !player.out);
+  }
+
+  readyForNextLevel() {
+    return false;
+  }
+
+  useHint() {
+    return false;
+  }
+
+  setDirection(dx, dy, player = 0) {
+    this.players[player].snake.setDirection(dx, dy);
+  }
+
+  /**
+   * Takes a player out of the game for good (e.g. an online player who
+   * didn't come back)
+   */
+  removePlayer(index) {
+    this.knockOut(index, 'left');
+    this.checkLastPlayer('left');
+  }
+
+  knockOut(index, reason) {
+    const player = this.players[index];
+    if (!player.out) {
+      player.out = true;
+      this.events.push({ type: 'out', player: index, reason });
+    }
+  }
+
+  // Ends the game when at most one player is left
+  checkLastPlayer(reason) {
+    const left = this.playersIn;
+    if (left.length <= 1) {
+      this.finish(reason, left.length === 1 ? this.players.indexOf(left[0]) : null);
+    }
+  }
+
+  loadNewWord() {
+    super.loadNewWord();
+    this.players.forEach(player => {
+      player.spelledLetters = this.spelledLetters;
+      player.wrongLetters = 0;
+    });
+  }
+
+  answerTiles() {
+    const tiles = tilesForAnswers(this.answers, this.spelling);
+    return this.players.flatMap(() => tiles);
+  }
+
+  step(dt) {
+    if (this.over) {
+      return;
+    }
+    this.time += dt;
+    this.stepCount++;
+
+    const moving = this.playersIn.filter(player => !player.frozen);
+    moving.forEach(player => {
+      player.snake.update(this.movement === 'classic' ? dt : dt * this.speedScale);
+    });
+
+    moving
+      .filter(player => player.snake.isOutside(this.room))
+      .forEach(player => this.knockOut(this.players.indexOf(player), 'wall'));
+    this.checkLastPlayer('wall');
+    if (this.over) {
+      return;
+    }
+    this.players.forEach((player, i) => {
+      if (!player.out) {
+        this.handleBites(player, i);
+      }
+    });
+    for (let i = 0; i < this.players.length && !this.over; i++) {
+      if (!this.players[i].out) {
+        this.handlePlayerLetters(this.players[i], i);
+      }
+    }
+  }
+
+  // The head of a snake cuts its own tail or another snake's
+  handleBites(player, index) {
+    const self = player.snake.findSelfHit();
+    if (self !== -1) {
+      player.snake.cutTailFrom(self);
+      this.events.push({ type: 'selfHit', index: self, player: index });
+    }
+    this.players.forEach((other, otherIndex) => {
+      if (other === player || other.out) {
+        return;
+      }
+      const hit = other.snake.findHitBy(player.snake.head);
+      if (hit !== -1) {
+        other.snake.cutTailFrom(hit);
+        this.events.push({ type: 'bitten', player: otherIndex, index: hit });
+      }
+    });
+  }
+
+  handlePlayerLetters(player, index) {
+    const wordsCompleted = this.wordsCompleted;
+    for (let i = this.lettersOnField.length - 1; i >= 0; i--) {
+      const letterObj = this.lettersOnField[i];
+      if (player.snake.headTouches(letterObj)) {
+        this.lettersOnField.splice(i, 1);
+        this.processPick(player, index, letterObj);
+        // A finished word brings new tiles (the same word may come again)
+        if (this.over || this.wordsCompleted !== wordsCompleted) {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * A letter taken by a player: the next one of their answer, or wrong
+   */
+  processPick(player, index, letterObj) {
+    const next = player.spelledLetters.length;
+    const candidates = matchingAnswers(this.answers, player.spelledLetters, this.spelling);
+    const answer = candidates.find(a =>
+      next < a.length && lettersMatch(letterObj.letter, a[next], this.spelling)
+    );
+
+    if (answer) {
+      player.snake.grow();
+      player.bestLength = Math.max(player.bestLength, player.snake.segments.length);
+      player.spelledLetters = autoFill(answer, player.spelledLetters + answer[next], this.spelling);
+      this.events.push({ type: 'correct', letter: letterObj.letter, player: index });
+      if (player.spelledLetters.length >= answer.length) {
+        player.wordsWon++;
+        this.wordsCompleted++;
+        this.events.push({
+          type: 'wordCompleted',
+          player: index,
+          word: this.currentWord,
+          answer,
+          answerLang: this.languages[this.answerSide],
+          answers: this.answers,
+          wrongLetters: player.wrongLetters,
+          hintsUsed: 0,
+          timeToSpell: this.time - this.wordStartTime,
+        });
+        if (player.wordsWon >= VERSUS_WORDS) {
+          this.finish('words', index);
+        } else {
+          this.loadNewWord();
+        }
+        return;
+      }
+    } else {
+      player.wrongLetters++;
+      player.snake.shrink();
+      this.events.push({ type: 'wrong', letter: letterObj.letter, player: index });
+      if (player.snake.segments.length === 0) {
+        this.knockOut(index, 'empty');
+        this.checkLastPlayer('empty');
+        return;
+      }
+      // A letter of the word taken out of order comes back
+      const stillNeeded = tilesForAnswers(candidates.map(a => a.slice(next)), this.spelling);
+      if (stillNeeded.includes(letterObj.letter)) {
+        this.spawnLetter(letterObj.letter);
+      }
+    }
+    this.placeNextLetters();
+  }
+
+  /**
+   * Makes sure each player's next letter is somewhere in the room
+   * (it may have been taken by another player)
+   */
+  placeNextLetters() {
+    this.playersIn.forEach(player => {
+      const next = player.spelledLetters.length;
+      const needed = matchingAnswers(this.answers, player.spelledLetters, this.spelling)
+        .filter(answer => next < answer.length)
+        .map(answer => tileLetter(answer[next], this.spelling));
+      const onField = this.lettersOnField.some(l => needed.includes(l.letter));
+      if (needed.length > 0 && !onField) {
+        this.spawnLetter(needed[0]);
+      }
+    });
+  }
+
+  finish(reason, winner) {
+    if (!this.over) {
+      this.over = true;
+      this.overReason = reason;
+      this.winner = winner;
+      this.events.push({ type: 'gameOver', reason, winner });
+    }
+  }
+}
@@ -0,0 +1,413 @@
+/*******************************************************************
+ * wordlisteditor.js
+ * A DOM overlay for making and changing the user's own word lists.
+ *
+ * - Pick a list, add/edit/delete words and change their difficulty.
+ *   Several accepted answers are written as "morbror|farbror".
+ * - Built-in lists are read-only, but can be copied into an own list.
+ * - Import .json/.csv/.tsv files as new lists, export any list.
+ *
+ * Lists are saved with saveUserWordLists() (localStorage) and show up
+ * in the word list selector on the title screen.
+ *******************************************************************/
+
+import {
+  getWordListFormat,
+  parseWordList,
+  serializeWordList,
+  validateEntry,
+  loadUserWordLists,
+  saveUserWordLists,
+  createUserListId,
+  joinAlternatives,
+} from './wordlists.js';
+import { keepStorage } from './offline.js';
+
+/**
+ * Small helper to create an element with attributes and children
+ */
+function el(tag, attrs = {}, children = []) {
+  const node = document.createElement(tag);
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (name === 'text') {
+      node.textContent = value;
+    } else if (name.startsWith('on')) {
+      node.addEventListener(name.slice(2), value);
+    } else {
+      node.setAttribute(name, value);
+    }
+  });
+  children.forEach(child => node.appendChild(child));
+  return node;
+}
+
+/**
+ * Offers text as a file download
+ */
+export function downloadFile(fileName, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = el('a', { href: url, download: fileName });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export class WordListEditor {
+  /**
+   * builtInLists: the read-only lists loaded from wordlists/
+   * onClose: called after the overlay has been removed
+   */
+  constructor(builtInLists, onClose) {
+    this.builtInLists = builtInLists;
+    this.onClose = onClose;
+    this.userLists = loadUserWordLists();
+    this.current = null;   // the list being shown
+    this.dirty = false;    // unsaved changes?
+    this.newOne = null;    // a new list that was never saved
+
+    this.root = el('div', { class: 'overlay' });
+    this.panel = el('div', { class: 'panel' });
+    this.root.appendChild(this.panel);
+    this.buildPanel();
+  }
+
+  open(parent = document.body) {
+    parent.appendChild(this.root);
+    this.select(this.userLists[0] || this.builtInLists[0] || null);
+  }
+
+  close() {
+    if (this.dirty && !window.confirm('Discard unsaved changes?')) {
+      return;
+    }
+    this.root.remove();
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+
+  buildPanel() {
+    this.listSelect = el('select', { onchange: () => this.onListChosen() });
+    this.nameInput = el('input', {
+      type: 'text',
+      placeholder: 'List name',
+      oninput: () => { this.dirty = true; },
+    });
+    this.primaryLangInput = el('input', {
+      type: 'text',
+      class: 'lang',
+      placeholder: 'sv',
+      title: 'Language code of the primary words, e.g. sv',
+      oninput: () => { this.dirty = true; },
+    });
+    this.newLangInput = el('input', {
+      type: 'text',
+      class: 'lang',
+      placeholder: 'en',
+      title: 'Language code of the new-language words, e.g. en',
+      oninput: () => { this.dirty = true; },
+    });
+    this.tableBody = el('tbody');
+    this.messageBox = el('div', { class: 'messages' });
+    this.fileInput = el('input', {
+      type: 'file',
+      accept: '.json,.csv,.tsv',
+      style: 'display: none',
+      onchange: () => this.importFile(),
+    });
+
+    this.newButton = el('button', { text: 'New list', onclick: () => this.newList() });
+    this.copyButton = el('button', { text: 'Copy', onclick: () => this.copyList() });
+    this.deleteButton = el('button', { text: 'Delete list', onclick: () => this.deleteList() });
+    this.addButton = el('button', { text: 'Add word', onclick: () => this.addRow() });
+    this.saveButton = el('button', { text: 'Save', onclick: () => this.save() });
+
+    const table = el('table', {}, [
+      el('thead', {}, [el('tr', {}, [
+        el('th', { text: 'Primary' }),
+        el('th', { text: 'New language' }),
+        el('th', { text: 'Difficulty' }),
+        el('th'),
+      ])]),
+      this.tableBody,
+    ]);
+
+    this.panel.append(
+      el('h2', { text: 'Word lists' }),
+      el('div', { class: 'toolbar' }, [this.listSelect, this.newButton, this.copyButton, this.deleteButton]),
+      el('div', { class: 'toolbar' }, [
+        this.nameInput,
+        el('label', { text: 'Languages ' }, [this.primaryLangInput, el('span', { text: ' → ' }), this.newLangInput]),
+      ]),
+      el('div', { class: 'table-wrap' }, [table]),
+      el('div', { class: 'toolbar' }, [this.addButton]),
+      this.messageBox,
+      el('div', { class: 'toolbar' }, [
+        this.fileInput,
+        el('button', { text: 'Import file', onclick: () => this.fileInput.click() }),
+        el('button', { text: 'Export JSON', onclick: () => this.exportList('json') }),
+        el('button', { text: 'Export CSV', onclick: () => this.exportList('csv') }),
+        this.saveButton,
+        el('button', { text: 'Close', onclick: () => this.close() }),
+      ]),
+    );
+  }
+
+  refreshListSelect() {
+    this.listSelect.innerHTML = '';
+    const addGroup = (label, lists) => {
+      if (lists.length === 0) return;
+      const group = el('optgroup', { label });
+      lists.forEach(list => group.appendChild(el('option', { value: list.id, text: list.name })));
+      this.listSelect.appendChild(group);
+    };
+    addGroup('My lists', this.userLists);
+    addGroup('Built-in (read-only)', this.builtInLists);
+    if (this.current) {
+      this.listSelect.value = this.current.id;
+    }
+  }
+
+  onListChosen() {
+    const id = this.listSelect.value;
+    if (this.dirty && !window.confirm('Discard unsaved changes?')) {
+      this.listSelect.value = this.current.id;
+      return;
+    }
+    const list = [...this.userLists, ...this.builtInLists].find(l => l.id === id);
+    this.select(list);
+  }
+
+  /**
+   * Shows a list in the table. Built-in lists can't be edited.
+   */
+  select(list) {
+    // A new list that was never saved is dropped again
+    if (this.newOne && this.newOne !== list) {
+      this.userLists = this.userLists.filter(l => l !== this.newOne);
+      this.newOne = null;
+    }
+    this.current = list;
+    this.dirty = false;
+    this.refreshListSelect();
+    this.tableBody.innerHTML = '';
+    this.showMessages([]);
+
+    const editable = Boolean(list && list.userList);
+    this.nameInput.value = list ? list.name : '';
+    this.nameInput.disabled = !editable;
+    this.primaryLangInput.value = list ? list.primaryLang || '' : '';
+    this.newLangInput.value = list ? list.newLang || '' : '';
+    this.primaryLangInput.disabled = !editable;
+    this.newLangInput.disabled = !editable;
+    this.addButton.disabled = !editable;
+    this.saveButton.disabled = !editable;
+    this.deleteButton.disabled = !editable;
+    this.copyButton.disabled = !list;
+
+    if (list) {
+      list.words.forEach(word => this.addRow(word, editable));
+      if (list.errors && list.errors.length > 0) {
+        this.showMessages(list.errors.map(e => `Skipped: ${e}`));
+      }
+    }
+  }
+
+  addRow(word = { primary: [], newLang: [], difficulty: 1 }, editable = true) {
+    const markDirty = () => { this.dirty = true; };
+    const primary = el('input', {
+      type: 'text',
+      value: joinAlternatives(word.primary),
+      placeholder: 'word|synonym',
+      oninput: markDirty,
+    });
+    const newLang = el('input', {
+      type: 'text',
+      value: joinAlternatives(word.newLang),
+      placeholder: 'word|synonym',
+      oninput: markDirty,
+    });
+    const difficulty = el('input', { type: 'number', min: '1', step: '1', value: word.difficulty, oninput: markDirty });
+    const row = el('tr', {}, [
+      el('td', {}, [primary]),
+      el('td', {}, [newLang]),
+      el('td', {}, [difficulty]),
+    ]);
+    const removeButton = el('button', {
+      text: '✕',
+      title: 'Delete word',
+      onclick: () => { row.remove(); markDirty(); },
+    });
+    row.appendChild(el('td', {}, [removeButton]));
+    [primary, newLang, difficulty, removeButton].forEach(input => { input.disabled = !editable; });
+
+    this.tableBody.appendChild(row);
+    if (editable && word.primary.length === 0) {
+      this.dirty = true;
+      primary.focus();
+    }
+  }
+
+  /**
+   * Reads the table back into word entries.
+   * Rows with problems are marked and reported.
+   */
+  readRows() {
+    const words = [];
+    const errors = [];
+    Array.from(this.tableBody.rows).forEach((row, i) => {
+      const [primary, newLang, difficulty] = row.querySelectorAll('input');
+      const result = validateEntry(primary.value, newLang.value, difficulty.value);
+      row.classList.toggle('invalid', Boolean(result.error));
+      if (result.error) {
+        errors.push(`Row ${i + 1}: ${result.error}`);
+      } else {
+        words.push(result.entry);
+      }
+    });
+    return { words, errors };
+  }
+
+  save() {
+    const { words, errors } = this.readRows();
+    const name = this.nameInput.value.trim();
+    if (name === '') {
+      errors.unshift('The list needs a name');
+    }
+    if (words.length === 0) {
+      errors.push('The list needs at least one word');
+    }
+    if (errors.length > 0) {
+      this.showMessages(errors);
+      return;
+    }
+    this.current.name = name;
+    this.current.primaryLang = this.primaryLangInput.value.trim().toLowerCase();
+    this.current.newLang = this.newLangInput.value.trim().toLowerCase();
+    this.current.words = words;
+    this.current.errors = [];
+    if (this.newOne === this.current) {
+      this.newOne = null;
+    }
+    this.refreshListSelect();
+    if (this.persist()) {
+      this.dirty = false;
+      this.showMessages([`Saved ${words.length} words`]);
+    }
+  }
+
+  /**
+   * Saves the lists (but not a new one that was never saved);
+   * returns false, with the error shown, if that failed
+   */
+  persist() {
+    try {
+      saveUserWordLists(this.userLists.filter(list => list !== this.newOne));
+      keepStorage(); // the lists are played offline too
+      return true;
+    } catch (err) {
+      // Most likely the storage quota is full
+      this.showMessages([`Could not save: ${err.message}`]);
+      return false;
+    }
+  }
+
+  newList() {
+    if (this.dirty && !window.confirm('Discard unsaved changes?')) {
+      return;
+    }
+    const list = {
+      id: createUserListId(),
+      name: 'New list',
+      primaryLang: '',
+      newLang: '',
+      words: [],
+      errors: [],
+      userList: true,
+    };
+    this.userLists.push(list);
+    this.select(list);
+    this.newOne = list;
+    this.addRow();
+  }
+
+  copyList() {
+    if (this.dirty && !window.confirm('Discard unsaved changes?')) {
+      return;
+    }
+    const source = this.current;
+    const list = {
+      id: createUserListId(),
+      name: `${source.name} (copy)`,
+      primaryLang: source.primaryLang || '',
+      newLang: source.newLang || '',
+      words: source.words.map(w => ({ ...w })),
+      errors: [],
+      userList: true,
+    };
+    this.userLists.push(list);
+    this.select(list);
+    // Not saved: kept as unsaved changes
+    this.dirty = !this.persist();
+  }
+
+  deleteList() {
+    if (!window.confirm(`Delete the list "${this.current.name}"?`)) {
+      return;
+    }
+    this.userLists = this.userLists.filter(list => list !== this.current);
+    this.persist();
+    this.dirty = false;
+    this.select(this.userLists[0] || this.builtInLists[0] || null);
+  }
+
+  importFile() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    const format = getWordListFormat(file.name);
+    if (!format) {
+      this.showMessages([`${file.name}: only .json, .csv and .tsv files can be imported`]);
+      return;
+    }
+    file.text().then(text => {
+      const { words, errors } = parseWordList(text, format);
+      if (words.length === 0) {
+        this.showMessages([`${file.name} has no usable words`, ...errors]);
+        return;
+      }
+      const list = {
+        id: createUserListId(),
+        name: file.name.replace(/\.[^.]+$/, ''),
+        primaryLang: '',
+        newLang: '',
+        words,
+        errors: [],
+        userList: true,
+      };
+      this.userLists.push(list);
+      this.select(list);
+      if (this.persist()) {
+        this.showMessages([`Imported ${words.length} words`, ...errors.map(e => `Skipped: ${e}`)]);
+      } else {
+        this.dirty = true;
+      }
+    });
+  }
+
+  exportList(format) {
+    const { words } = this.current.userList ? this.readRows() : this.current;
+    const fileName = `${this.nameInput.value.trim() || this.current.id}.${format}`;
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    downloadFile(fileName, serializeWordList(words, format), type);
+  }
+
+  showMessages(messages) {
+    this.messageBox.innerHTML = '';
+    messages.forEach(message => this.messageBox.appendChild(el('div', { text: message })));
+  }
+}
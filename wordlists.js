@@ -0,0 +1,340 @@
+/*******************************************************************
+ * wordlists.js
+ * Parsing and validation of the word lists the game is played with.
+ *
+ * Word lists are separate files in the wordlists/ folder. The file
+ * wordlists/index.json names them:
+ *    [{ "id": "glossary-1", "name": "Glossary 1", "file": "glossary-1.csv",
+ *       "primaryLang": "sv", "newLang": "en" }, ...]
+ * primaryLang and newLang are the (optional) ISO 639-1 codes of the two
+ * languages, used to pick the alphabet (see alphabets.js).
+ *
+ * Supported file formats:
+ *    - .json: an array of { "primary", "newLang", "difficulty" } objects
+ *    - .csv / .tsv: one entry per row with the columns
+ *      primary, newLang, difficulty (comma or tab separated).
+ *      A header row naming the columns may come first; it also decides
+ *      the column order. Fields may be "quoted" to contain separators.
+ *
+ * A word can have several accepted answers (synonyms). In JSON, primary
+ * and newLang may be arrays of strings; in CSV/TSV (and the editor) the
+ * alternatives are separated by "|", e.g. "morbror|farbror".
+ * Parsed entries always hold arrays: { primary: [..], newLang: [..], difficulty }
+ *
+ * A malformed row is rejected with a message saying where and what is
+ * wrong; the rest of the list is still usable.
+ *
+ * The user's own lists (made in the word list editor or imported) are
+ * kept in localStorage, see loadUserWordLists().
+ *******************************************************************/
+
+import { storage } from './profiles.js';
+
+export const WORD_LIST_DIR = 'wordlists/';
+export const WORD_LIST_INDEX = WORD_LIST_DIR + 'index.json';
+
+// Column order used when a CSV/TSV file has no header row
+const COLUMNS = ['primary', 'newLang', 'difficulty'];
+
+// Separates alternative answers inside one CSV/TSV field
+export const ALTERNATIVE_SEPARATOR = '|';
+
+/**
+ * "a|b" => ['a', 'b']; arrays are kept (but trimmed), empty parts dropped
+ */
+export function splitAlternatives(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(ALTERNATIVE_SEPARATOR);
+  return parts.map(part => String(part).trim()).filter(part => part !== '');
+}
+
+/**
+ * ['a', 'b'] => "a|b", for CSV files and the editor
+ */
+export function joinAlternatives(answers) {
+  return [].concat(answers).join(ALTERNATIVE_SEPARATOR);
+}
+
+/**
+ * ['a', 'b'] => "a / b", for showing a word to the player
+ */
+export function formatAnswers(answers) {
+  return [].concat(answers).join(' / ');
+}
+
+/**
+ * Works out the file format ('json', 'csv' or 'tsv') from a file name
+ */
+export function getWordListFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json' || extension === 'csv' || extension === 'tsv') {
+    return extension;
+  }
+  return null;
+}
+
+/**
+ * Parses the text of a word list file.
+ * Returns { words, errors }, where words are the valid entries and
+ * errors holds one readable message per rejected row.
+ */
+export function parseWordList(text, format) {
+  // Some editors start UTF-8 files with a byte order mark
+  text = text.replace(/^\uFEFF/, '');
+  if (format === 'json') {
+    return parseJSONWordList(text);
+  }
+  if (format === 'csv' || format === 'tsv') {
+    return parseDelimitedWordList(text, format === 'tsv' ? '\t' : ',');
+  }
+  return { words: [], errors: [`Unknown word list format "${format}"`] };
+}
+
+function parseJSONWordList(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { words: [], errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!Array.isArray(data)) {
+    return { words: [], errors: ['Expected a JSON array of word entries'] };
+  }
+
+  const words = [];
+  const errors = [];
+  data.forEach((raw, i) => {
+    const where = `Entry ${i + 1}`;
+    if (raw === null || typeof raw !== 'object') {
+      errors.push(`${where}: expected an object with primary, newLang and difficulty`);
+      return;
+    }
+    const result = validateEntry(raw.primary, raw.newLang, raw.difficulty);
+    if (result.error) {
+      errors.push(`${where}: ${result.error}`);
+    } else {
+      words.push(result.entry);
+    }
+  });
+  return { words, errors };
+}
+
+function parseDelimitedWordList(text, delimiter) {
+  const rows = splitRows(text, delimiter);
+  const words = [];
+  const errors = [];
+
+  // An optional header row decides the column order
+  let columns = COLUMNS;
+  let first = 0;
+  if (rows.length > 0 && isHeaderRow(rows[0].fields)) {
+    const header = rows[0].fields.map(name => name.trim().toLowerCase());
+    const missing = COLUMNS.filter(name => !header.includes(name.toLowerCase()));
+    if (missing.length > 0) {
+      return { words: [], errors: [`Header row is missing the column(s): ${missing.join(', ')}`] };
+    }
+    columns = header;
+    first = 1;
+  }
+  const indexOf = name => columns.findIndex(col => col.toLowerCase() === name.toLowerCase());
+  const primaryIndex = indexOf('primary');
+  const newLangIndex = indexOf('newLang');
+  const difficultyIndex = indexOf('difficulty');
+
+  for (let i = first; i < rows.length; i++) {
+    const { line, fields } = rows[i];
+    // Skip blank lines
+    if (fields.length === 1 && fields[0].trim() === '') {
+      continue;
+    }
+    const where = `Row ${line}`;
+    if (fields.length < columns.length) {
+      errors.push(`${where}: expected ${columns.length} columns, found ${fields.length}`);
+      continue;
+    }
+    const result = validateEntry(fields[primaryIndex], fields[newLangIndex], fields[difficultyIndex]);
+    if (result.error) {
+      errors.push(`${where}: ${result.error}`);
+    } else {
+      words.push(result.entry);
+    }
+  }
+  return { words, errors };
+}
+
+// A header names columns and nothing else (a word may well be "primary")
+function isHeaderRow(fields) {
+  const names = COLUMNS.map(name => name.toLowerCase());
+  const filled = fields.map(name => name.trim().toLowerCase()).filter(name => name !== '');
+  return filled.length > 0 && filled.every(name => names.includes(name));
+}
+
+/**
+ * Splits CSV/TSV text into rows of fields.
+ * Double quotes allow separators, newlines and "" (a quote) inside a field.
+ * Each row remembers the line it started on, for error messages.
+ */
+function splitRows(text, delimiter) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      // Treat \r\n as one line break
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  // Last row, unless the file ended with a line break
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    rows.push({ line: rowLine, fields });
+  }
+  return rows;
+}
+
+/**
+ * Checks the three fields of one word entry.
+ * primary and newLang are strings ("a|b" for alternatives) or arrays of strings.
+ * Returns { entry } when valid, otherwise { error } with a message.
+ */
+export function validateEntry(primary, newLang, difficulty) {
+  const isText = value => typeof value === 'string' ||
+    (Array.isArray(value) && value.every(part => typeof part === 'string'));
+  if (!isText(primary) || splitAlternatives(primary).length === 0) {
+    return { error: 'primary word is missing' };
+  }
+  if (!isText(newLang) || splitAlternatives(newLang).length === 0) {
+    return { error: 'newLang word is missing' };
+  }
+  const level = typeof difficulty === 'string' ? Number(difficulty.trim()) : difficulty;
+  if (!Number.isInteger(level) || level < 1) {
+    return { error: `difficulty must be a whole number of 1 or more, got "${difficulty}"` };
+  }
+  return {
+    entry: { primary: splitAlternatives(primary), newLang: splitAlternatives(newLang), difficulty: level }
+  };
+}
+
+/**
+ * Turns a list of word entries back into file text, for exporting.
+ * CSV/TSV files get a header row; fields are quoted when needed.
+ */
+export function serializeWordList(words, format) {
+  if (format === 'json') {
+    // A single answer is written as a plain string
+    const single = answers => answers.length === 1 ? answers[0] : answers;
+    const entries = words.map(w => ({
+      primary: single(w.primary),
+      newLang: single(w.newLang),
+      difficulty: w.difficulty,
+    }));
+    return JSON.stringify(entries, null, 2) + '\n';
+  }
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  const quote = (value) => {
+    const text = String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+      return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+  };
+  const lines = [COLUMNS.join(delimiter)];
+  words.forEach(w => {
+    lines.push([joinAlternatives(w.primary), joinAlternatives(w.newLang), w.difficulty].map(quote).join(delimiter));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * -------------------------------------------------------------
+ * USER WORD LISTS
+ * Lists made in the in-game editor or imported from files.
+ * Stored in localStorage as [{ id, name, primaryLang, newLang, words }].
+ * -------------------------------------------------------------
+ */
+const USER_LISTS_KEY = 'wordSnakeUserWordLists';
+
+/**
+ * Reads the user's own word lists. Entries are validated again, so a
+ * damaged store only loses the broken entries.
+ */
+export function loadUserWordLists() {
+  let stored;
+  try {
+    stored = JSON.parse(storage.getItem(USER_LISTS_KEY) || '[]');
+  } catch (err) {
+    console.error('Stored word lists are damaged:', err);
+    return [];
+  }
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+  return stored
+    .filter(list => list && typeof list.id === 'string' && Array.isArray(list.words))
+    .map(list => {
+      const words = [];
+      const errors = [];
+      list.words.forEach((w, i) => {
+        const result = validateEntry(w && w.primary, w && w.newLang, w && w.difficulty);
+        if (result.error) {
+          errors.push(`Entry ${i + 1}: ${result.error}`);
+        } else {
+          words.push(result.entry);
+        }
+      });
+      return {
+        id: list.id,
+        name: list.name || list.id,
+        primaryLang: list.primaryLang || '',
+        newLang: list.newLang || '',
+        words,
+        errors,
+        userList: true,
+      };
+    });
+}
+
+export function saveUserWordLists(lists) {
+  const stored = lists.map(list => ({
+    id: list.id,
+    name: list.name,
+    primaryLang: list.primaryLang,
+    newLang: list.newLang,
+    words: list.words,
+  }));
+  storage.setItem(USER_LISTS_KEY, JSON.stringify(stored));
+}
+
+/**
+ * A new unique id for a user word list
+ */
+export function createUserListId() {
+  return `user-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+}